@@ -0,0 +1,15 @@
+-- Per-listing crawl watermark: the newest article seen on each listing URL.
+-- The scraper pages through a listing until it reaches the watermark (or an
+-- article that is already stored), so each run covers only what is new.
+CREATE TABLE IF NOT EXISTS crawl_watermarks (
+    listing_url TEXT PRIMARY KEY,
+    source VARCHAR(100) NOT NULL,
+    last_seen_source_id VARCHAR(255),
+    last_crawled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_crawl_watermarks_updated_at ON crawl_watermarks;
+CREATE TRIGGER update_crawl_watermarks_updated_at BEFORE UPDATE ON crawl_watermarks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,16 @@
+-- Official documents (PDF notifications, circulars, ministry pages) linked from
+-- an article, fetched and stored so the classifier and Q&A transformer can cite them.
+CREATE TABLE IF NOT EXISTS post_documents (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    title TEXT,
+    content_type VARCHAR(100),
+    page_count INTEGER,
+    pages JSONB, -- [{ "page": 1, "text": "..." }, ...]; HTML documents are a single page
+    fetch_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS post_documents_post_id_idx ON post_documents(post_id);
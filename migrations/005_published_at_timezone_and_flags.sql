@@ -0,0 +1,22 @@
+-- Store article timestamps as instants (UTC) and keep the source's "updated"
+-- time separate from its "published" time. Posts whose published time could
+-- not be parsed get published_at = NULL and published_at_unknown = TRUE.
+
+-- published_at used to be TIMESTAMP holding the server's local wall time; the
+-- cast below reads existing values in the session time zone.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'posts' AND column_name = 'published_at'
+          AND data_type = 'timestamp without time zone'
+    ) THEN
+        ALTER TABLE posts ALTER COLUMN published_at TYPE TIMESTAMPTZ USING published_at::timestamptz;
+        RAISE NOTICE 'Converted posts.published_at to TIMESTAMPTZ';
+    END IF;
+END $$;
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS source_updated_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS published_at_unknown BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS posts_published_at_unknown_idx ON posts(published_at_unknown) WHERE published_at_unknown;
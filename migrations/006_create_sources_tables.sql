@@ -0,0 +1,72 @@
+-- Database-managed source and listing configuration.
+-- sources.name is the value stored in posts.source; sources.adapter selects the
+-- parser ('feed' for RSS/Atom, otherwise a code adapter such as 'moneycontrol').
+CREATE TABLE IF NOT EXISTS sources (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    adapter VARCHAR(50) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    config JSONB NOT NULL DEFAULT '{}'::jsonb, -- adapter options, e.g. { "fetchFullText": true, "contentSelector": "article" }
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS source_listings (
+    id SERIAL PRIMARY KEY,
+    source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+    url TEXT UNIQUE NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    category VARCHAR(100), -- NULL = let the adapter derive it from the URL
+    max_articles INTEGER NOT NULL DEFAULT 0 CHECK (max_articles >= 0), -- 0 = MAX_ARTICLES_PER_URL (no cap by default)
+    crawl_interval_minutes INTEGER NOT NULL DEFAULT 0 CHECK (crawl_interval_minutes >= 0), -- 0 = every run
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS source_listings_source_id_idx ON source_listings(source_id);
+
+DROP TRIGGER IF EXISTS update_sources_updated_at ON sources;
+CREATE TRIGGER update_sources_updated_at BEFORE UPDATE ON sources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_source_listings_updated_at ON source_listings;
+CREATE TRIGGER update_source_listings_updated_at BEFORE UPDATE ON source_listings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed the configuration that used to be hard-coded. Only runs on an empty
+-- table, so sources removed through the API are not re-created. The PIB and
+-- RBI feeds are seeded disabled, so a deploy crawls only what it did before
+-- until they are switched on (PUT /api/sources/:id with {"enabled": true}).
+DO $$
+DECLARE
+    mc_id INTEGER;
+    pib_id INTEGER;
+    rbi_id INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM sources) THEN
+        INSERT INTO sources (name, adapter) VALUES ('moneycontrol', 'moneycontrol') RETURNING id INTO mc_id;
+        INSERT INTO source_listings (source_id, url, enabled, category) VALUES
+            (mc_id, 'https://www.moneycontrol.com/news/business/personal-finance/', TRUE, 'personal-finance'),
+            (mc_id, 'https://www.moneycontrol.com/banking/', TRUE, 'banking'),
+            (mc_id, 'https://www.moneycontrol.com/news/india/', TRUE, 'india'),
+            (mc_id, 'https://www.moneycontrol.com/city/', TRUE, 'city'),
+            (mc_id, 'https://www.moneycontrol.com/world/', FALSE, 'world'),
+            (mc_id, 'https://www.moneycontrol.com/news/politics/', FALSE, 'politics'),
+            (mc_id, 'https://www.moneycontrol.com/defence/', FALSE, 'defence'),
+            (mc_id, 'https://www.moneycontrol.com/news/business/economy/', TRUE, 'economy');
+
+        INSERT INTO sources (name, adapter, enabled, config)
+        VALUES ('pib', 'feed', FALSE, '{"fetchFullText": true, "contentSelector": "#PdfDiv, .innner-page-main-about-us-content-right-part"}')
+        RETURNING id INTO pib_id;
+        INSERT INTO source_listings (source_id, url, category)
+        VALUES (pib_id, 'https://pib.gov.in/RssMain.aspx?ModId=6&Lang=1&Regid=3', 'government');
+
+        INSERT INTO sources (name, adapter, enabled, config)
+        VALUES ('rbi', 'feed', FALSE, '{"fetchFullText": false}')
+        RETURNING id INTO rbi_id;
+        INSERT INTO source_listings (source_id, url, category)
+        VALUES (rbi_id, 'https://www.rbi.org.in/pressreleases_rss.xml', 'banking');
+
+        RAISE NOTICE 'Seeded default sources';
+    END IF;
+END $$;
@@ -0,0 +1,59 @@
+-- Staged processing pipeline. Each post moves through
+--   scraped -> embedded -> transformed -> classified
+-- and the work for its next stage is a row in pipeline_jobs, so an interrupted
+-- run resumes where it left off and failed stages are retried with backoff.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'posts' AND column_name = 'stage'
+    ) THEN
+        ALTER TABLE posts ADD COLUMN stage VARCHAR(20) NOT NULL DEFAULT 'scraped'
+            CHECK (stage IN ('scraped', 'embedded', 'transformed', 'classified'));
+
+        -- Posts stored before stages existed: classified ones are done; the
+        -- rest were embedded and transformed before insert unless embedding failed.
+        UPDATE posts SET stage = CASE
+            WHEN is_interesting IS NOT NULL THEN 'classified'
+            WHEN embedding_v2 IS NOT NULL THEN 'transformed'
+            ELSE 'scraped'
+        END;
+        RAISE NOTICE 'Added posts.stage column';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS posts_stage_idx ON posts(stage);
+
+-- status: pending (waiting, possibly for a retry), running (claimed by a worker),
+-- done, failed (max_attempts exhausted)
+CREATE TABLE IF NOT EXISTS pipeline_jobs (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('embed', 'transform', 'classify')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'done', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post_id, stage)
+);
+
+CREATE INDEX IF NOT EXISTS pipeline_jobs_due_idx ON pipeline_jobs(next_run_at) WHERE status IN ('pending', 'running');
+
+DROP TRIGGER IF EXISTS update_pipeline_jobs_updated_at ON pipeline_jobs;
+CREATE TRIGGER update_pipeline_jobs_updated_at BEFORE UPDATE ON pipeline_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Queue the next stage for posts left unfinished (e.g. is_interesting stuck at NULL)
+INSERT INTO pipeline_jobs (post_id, stage)
+SELECT id, CASE stage
+    WHEN 'scraped' THEN 'embed'
+    WHEN 'embedded' THEN 'transform'
+    ELSE 'classify'
+END
+FROM posts
+WHERE stage <> 'classified'
+ON CONFLICT (post_id, stage) DO NOTHING;
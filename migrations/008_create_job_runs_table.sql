@@ -0,0 +1,22 @@
+-- History of pipeline runs, so a run that stops finding articles is visible
+-- without reading the console logs.
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL, -- 'cron' or 'manual'
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ,
+    -- { scraped, new, stored, embedded, transformed, classified, failed }
+    counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- [{ source, url, found, scraped, errors: [{ url, error }] }], one entry per crawled listing
+    listings JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS job_runs_started_at_idx ON job_runs(started_at);
+
+DROP TRIGGER IF EXISTS update_job_runs_updated_at ON job_runs;
+CREATE TRIGGER update_job_runs_updated_at BEFORE UPDATE ON job_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Backfill runs are recorded in job_runs too (trigger = 'backfill'); params
+-- holds the post filter and stages they were started with.
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS params JSONB;
@@ -0,0 +1,21 @@
+-- Keep the scraped article text in posts.content and store the LLM Q&A
+-- explainer next to it, with the model and prompt version that produced it.
+-- qa_status: NULL = not transformed yet, 'ok' = content_qa holds the explainer,
+-- 'fallback' = the transform kept failing and only the raw content is available.
+-- Posts transformed before this migration already had content overwritten by
+-- the explainer; their raw text is not recoverable and qa_status stays NULL.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_qa TEXT;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_model VARCHAR(100);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_prompt_version VARCHAR(20);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_status VARCHAR(20);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_error TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name = 'posts' AND constraint_name = 'posts_qa_status_check'
+    ) THEN
+        ALTER TABLE posts ADD CONSTRAINT posts_qa_status_check CHECK (qa_status IN ('ok', 'fallback'));
+    END IF;
+END $$;
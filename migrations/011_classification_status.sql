@@ -0,0 +1,41 @@
+-- Classification outcome as a queryable state instead of text in metadata.
+-- classification_status: NULL = not classified yet, 'ok', 'llm_error' (the model
+-- call failed) or 'invalid_output' (the response failed schema validation after
+-- all repair attempts). classification_error holds the last error message.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_status VARCHAR(20);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_error TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name = 'posts' AND constraint_name = 'posts_classification_status_check'
+    ) THEN
+        ALTER TABLE posts ADD CONSTRAINT posts_classification_status_check
+            CHECK (classification_status IN ('ok', 'llm_error', 'invalid_output'));
+
+        -- Existing rows: classified posts are ok; failures were only recorded as
+        -- "Classification failed: ..." in metadata.reasoning
+        UPDATE posts SET classification_status = 'ok'
+        WHERE is_interesting IS NOT NULL;
+
+        UPDATE posts
+        SET classification_status = 'llm_error',
+            classification_error = metadata->>'reasoning'
+        WHERE is_interesting IS NULL
+          AND metadata->>'reasoning' LIKE 'Classification failed:%';
+
+        RAISE NOTICE 'Added posts.classification_status';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS posts_classification_status_idx ON posts(classification_status);
+
+-- Normalize stored pillars that differ from the six canonical ones only in case/spacing
+UPDATE posts
+SET metadata = jsonb_set(metadata, '{content_pillar}', to_jsonb(UPPER(TRIM(metadata->>'content_pillar'))))
+WHERE metadata->>'content_pillar' IS NOT NULL
+  AND metadata->>'content_pillar' <> UPPER(TRIM(metadata->>'content_pillar'))
+  AND UPPER(TRIM(metadata->>'content_pillar')) IN (
+      'SCHEMES', 'TOOLS', 'CURRENT AFFAIRS IN INDIA', 'INDIA AND THE WORLD', 'RULES, ACTS, BILLS', 'CASE STUDIES'
+  );
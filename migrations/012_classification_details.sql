@@ -0,0 +1,30 @@
+-- Classification details as columns, so candidates can be filtered and ranked
+-- instead of relying on the yes/no is_interesting alone.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_confidence REAL; -- 0..1
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_pillars TEXT[];         -- ranked, most relevant first
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS impact_dimensions TEXT[];       -- money, eligibility, rights, penalties, access, compliance
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS source_credibility VARCHAR(30); -- official, media_citing_official, unverified
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name = 'posts' AND constraint_name = 'posts_source_credibility_check'
+    ) THEN
+        ALTER TABLE posts ADD CONSTRAINT posts_source_credibility_check
+            CHECK (source_credibility IN ('official', 'media_citing_official', 'unverified'));
+    END IF;
+END $$;
+
+-- Posts classified before this migration had a single pillar in metadata
+UPDATE posts
+SET content_pillars = ARRAY[metadata->>'content_pillar']
+WHERE content_pillars IS NULL
+  AND metadata->>'content_pillar' IN (
+      'SCHEMES', 'TOOLS', 'CURRENT AFFAIRS IN INDIA', 'INDIA AND THE WORLD', 'RULES, ACTS, BILLS', 'CASE STUDIES'
+  );
+
+CREATE INDEX IF NOT EXISTS posts_classification_confidence_idx ON posts(classification_confidence);
+CREATE INDEX IF NOT EXISTS posts_content_pillars_idx ON posts USING GIN (content_pillars);
+CREATE INDEX IF NOT EXISTS posts_impact_dimensions_idx ON posts USING GIN (impact_dimensions);
+CREATE INDEX IF NOT EXISTS posts_source_credibility_idx ON posts(source_credibility);
@@ -0,0 +1,27 @@
+-- Editorial reviews, kept separately from the model's verdict in posts.is_interesting.
+-- Every verdict is recorded with who gave it and what the model had said at the time;
+-- the post keeps the latest one in reviewed_* columns.
+CREATE TABLE IF NOT EXISTS post_reviews (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    reviewer VARCHAR(100) NOT NULL,
+    is_interesting BOOLEAN NOT NULL,
+    note TEXT,
+    model_is_interesting BOOLEAN, -- posts.is_interesting when the review was made (NULL = not classified)
+    model_confidence REAL,        -- posts.classification_confidence when the review was made
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS post_reviews_post_id_idx ON post_reviews(post_id);
+CREATE INDEX IF NOT EXISTS post_reviews_reviewer_idx ON post_reviews(reviewer);
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS reviewed_is_interesting BOOLEAN;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+-- The label to act on: the reviewer's when there is one, otherwise the model's
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS effective_is_interesting BOOLEAN
+    GENERATED ALWAYS AS (COALESCE(reviewed_is_interesting, is_interesting)) STORED;
+
+CREATE INDEX IF NOT EXISTS posts_effective_is_interesting_idx ON posts(effective_is_interesting);
+CREATE INDEX IF NOT EXISTS posts_reviewed_at_idx ON posts(reviewed_at);
@@ -0,0 +1,30 @@
+-- Classifier evaluation runs: classifyArticle over a labeled set, with the
+-- model and prompt version used, so two runs can be compared side by side.
+CREATE TABLE IF NOT EXISTS evaluation_runs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200),
+    dataset VARCHAR(500) NOT NULL, -- 'reviews' (human-reviewed posts), 'inline' or the JSONL file path
+    provider VARCHAR(50),
+    model VARCHAR(200),
+    prompt_version VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    item_count INTEGER NOT NULL DEFAULT 0,
+    -- { precision, recall, f1, accuracy, pillar_accuracy, parse_failure_rate, latency_ms: {...}, ... }
+    metrics JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- [{ key, title, expected, predicted, expected_pillar, predicted_pillar, confidence, error_code, latency_ms }]
+    results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS evaluation_runs_started_at_idx ON evaluation_runs(started_at);
+
+DROP TRIGGER IF EXISTS update_evaluation_runs_updated_at ON evaluation_runs;
+CREATE TRIGGER update_evaluation_runs_updated_at BEFORE UPDATE ON evaluation_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Reviewers may also give the right pillar, used as the expected pillar in evaluations
+ALTER TABLE post_reviews ADD COLUMN IF NOT EXISTS content_pillar VARCHAR(50);
@@ -0,0 +1,6 @@
+-- Few-shot classification: the reviewed posts shown to the model as examples,
+-- recorded with each classification so a decision can be traced back to them.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_example_ids INTEGER[];
+
+-- Number of few-shot examples an evaluation run used (0 = zero-shot)
+ALTER TABLE evaluation_runs ADD COLUMN IF NOT EXISTS few_shot_examples INTEGER;
@@ -0,0 +1,39 @@
+-- Prompt templates for the LLM tasks, stored as immutable versions. Per task one
+-- version can be 'active' and one 'candidate'; the candidate gets
+-- candidate_percent of posts for A/B comparison. Without an active row the
+-- built-in prompt in src/utils is used.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id SERIAL PRIMARY KEY,
+    task VARCHAR(20) NOT NULL CHECK (task IN ('classify', 'transform')),
+    version VARCHAR(50) NOT NULL,
+    template TEXT NOT NULL,
+    description TEXT,
+    model VARCHAR(200),                           -- overrides the task's configured model when set
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,    -- { temperature, top_p, max_tokens, seed }
+    status VARCHAR(20) NOT NULL DEFAULT 'inactive' CHECK (status IN ('inactive', 'active', 'candidate')),
+    candidate_percent INTEGER NOT NULL DEFAULT 0 CHECK (candidate_percent BETWEEN 0 AND 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (task, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS prompt_templates_active_idx ON prompt_templates(task) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS prompt_templates_candidate_idx ON prompt_templates(task) WHERE status = 'candidate';
+
+DROP TRIGGER IF EXISTS update_prompt_templates_updated_at ON prompt_templates;
+CREATE TRIGGER update_prompt_templates_updated_at BEFORE UPDATE ON prompt_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Provenance: which prompt version, model and parameters produced each output
+-- (qa_model and qa_prompt_version already exist for the explainer; they are
+-- widened to the lengths prompt_templates allows, or storing an explainer made
+-- with a long version name or model would fail)
+ALTER TABLE posts ALTER COLUMN qa_prompt_version TYPE VARCHAR(50),
+                  ALTER COLUMN qa_model TYPE VARCHAR(200);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_prompt_version VARCHAR(50);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_model VARCHAR(200);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS classification_params JSONB;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_params JSONB;
+
+CREATE INDEX IF NOT EXISTS posts_classification_prompt_version_idx ON posts(classification_prompt_version);
+CREATE INDEX IF NOT EXISTS posts_qa_prompt_version_idx ON posts(qa_prompt_version);
@@ -0,0 +1,19 @@
+-- Articles split into paragraph-aligned chunks, each with its own embedding, so
+-- long articles are searchable past their first paragraphs. posts.embedding_v2
+-- holds the pooled (mean, normalized) vector of a post's chunks.
+CREATE TABLE IF NOT EXISTS post_chunks (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedding vector(768) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS post_chunks_post_id_idx ON post_chunks(post_id);
+
+-- Vector similarity index for chunk search (needs pgvector 0.5+ for hnsw); create it once there is data:
+-- CREATE INDEX IF NOT EXISTS post_chunks_embedding_idx ON post_chunks USING hnsw (embedding vector_cosine_ops);
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
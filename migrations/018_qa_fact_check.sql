@@ -0,0 +1,12 @@
+-- Fact-preservation check of the Q&A explainer: the share of the article's
+-- numbers, amounts, percentages, dates and named schemes found in content_qa,
+-- and the ones that were not (JSON array of { type, text }).
+-- qa_status 'flagged' = the explainer exists but still dropped facts after the
+-- rewrite retries; it is served like 'ok' and should be reviewed.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_fact_coverage REAL;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_missing_facts JSONB;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_qa_status_check;
+ALTER TABLE posts ADD CONSTRAINT posts_qa_status_check CHECK (qa_status IN ('ok', 'flagged', 'fallback'));
+
+CREATE INDEX IF NOT EXISTS posts_qa_status_idx ON posts(qa_status);
@@ -0,0 +1,5 @@
+-- Structured Q&A explainer: sections with titles, question/answer pairs, tables
+-- as columns and rows, and source links per answer (see src/utils/explainerSchema.js).
+-- content_qa keeps the same explainer rendered as markdown. Explainers written
+-- before this migration have only the markdown; content_qa_json stays NULL.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_qa_json JSONB;
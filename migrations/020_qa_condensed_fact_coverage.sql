@@ -0,0 +1,6 @@
+-- qa_fact_coverage is measured against the raw article. For a long article the
+-- explainer is written from condensed notes, so a fact can be lost before the
+-- model writes anything: qa_condensed_fact_coverage is the share of the
+-- article's facts that survived condensation (NULL when the article was not
+-- condensed). A low value points at the summarize step, not the transform.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS qa_condensed_fact_coverage REAL;
@@ -0,0 +1,4 @@
+-- Claims of a pipeline job, counted up by every claim (never reset). A worker
+-- completes or fails a job only while the count still matches its claim, so a
+-- worker whose job was reclaimed as stale cannot overwrite the new claim's outcome.
+ALTER TABLE pipeline_jobs ADD COLUMN IF NOT EXISTS claim_count INTEGER NOT NULL DEFAULT 0;
@@ -1,13 +1,77 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * LLM configuration per task. Each task (classify, transform, embed) picks a
+ * provider and a model; switching a task to another backend is a config change.
+ *
+ * Providers:
+ * - ollama: local or remote Ollama server (OLLAMA_HOST)
+ * - openai: any OpenAI-compatible endpoint (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - mock: deterministic local responses, no model server needed
+ *
+ * LLM_PROVIDER sets the provider for every task; CLASSIFY_PROVIDER,
+ * TRANSFORM_PROVIDER, SUMMARIZE_PROVIDER and EMBED_PROVIDER override it per task.
+ * "summarize" condenses the chunks of long articles before classify/transform.
+ */
 
-export const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
-export const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4-turbo-preview';
+export const PROVIDERS = ['ollama', 'openai', 'mock'];
+export const TASKS = ['classify', 'transform', 'summarize', 'embed'];
 
-export default openai;
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'ollama';
+
+const TASK_CONFIG = {
+  classify: {
+    provider: process.env.CLASSIFY_PROVIDER || DEFAULT_PROVIDER,
+    model: process.env.CLASSIFY_MODEL || process.env.LLM_MODEL || 'gemma3'
+  },
+  transform: {
+    provider: process.env.TRANSFORM_PROVIDER || DEFAULT_PROVIDER,
+    // OLLAMA_* names are still read so existing .env files keep working
+    model: process.env.TRANSFORM_MODEL
+      || process.env.OLLAMA_CONTENT_TRANSFORMER_MODEL
+      || process.env.OLLAMA_CLASSIFIER_MODEL
+      || 'gemma3'
+  },
+  // Defaults to the transform model, which already handles long article text
+  summarize: {
+    provider: process.env.SUMMARIZE_PROVIDER || process.env.TRANSFORM_PROVIDER || DEFAULT_PROVIDER,
+    model: process.env.SUMMARIZE_MODEL
+      || process.env.TRANSFORM_MODEL
+      || process.env.OLLAMA_CONTENT_TRANSFORMER_MODEL
+      || process.env.OLLAMA_CLASSIFIER_MODEL
+      || 'gemma3'
+  },
+  embed: {
+    provider: process.env.EMBED_PROVIDER || DEFAULT_PROVIDER,
+    model: process.env.EMBED_MODEL || process.env.EMBEDDING_MODEL || 'embeddinggemma'
+  }
+};
+
+// posts.embedding_v2 is vector(768); every embedding backend must produce this size
+export const EMBEDDING_DIMENSIONS = 768;
+
+export const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://127.0.0.1:11434';
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Sent as `dimensions` to OpenAI-compatible embedding endpoints when set (e.g. 768 for text-embedding-3-*)
+export const OPENAI_EMBEDDING_DIMENSIONS = process.env.OPENAI_EMBEDDING_DIMENSIONS
+  ? parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS)
+  : null;
+
+/**
+ * Provider and model for a task
+ * @param {string} task - 'classify' | 'transform' | 'summarize' | 'embed'
+ * @returns {{ provider: string, model: string }}
+ */
+export function getTaskConfig(task) {
+  const config = TASK_CONFIG[task];
+  if (!config) {
+    throw new Error(`Unknown LLM task "${task}" (expected one of: ${TASKS.join(', ')})`);
+  }
+  if (!PROVIDERS.includes(config.provider)) {
+    throw new Error(`Unknown LLM provider "${config.provider}" for ${task} (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  return { ...config };
+}
@@ -1,7 +1,12 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import postsRouter from './routes/posts.js';
-import { startCronJob, triggerJob } from './services/cron.js';
+import sourcesRouter from './routes/sources.js';
+import jobsRouter from './routes/jobs.js';
+import reviewsRouter from './routes/reviews.js';
+import evaluationsRouter from './routes/evaluations.js';
+import promptsRouter from './routes/prompts.js';
+import { startCronJob } from './services/cron.js';
 
 dotenv.config();
 
@@ -23,25 +28,11 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/posts', postsRouter);
-
-// Manual trigger endpoint for testing (optional - consider adding auth)
-app.post('/api/jobs/trigger', async (req, res) => {
-  try {
-    console.log('🔄 Manual job trigger requested');
-    await triggerJob();
-    res.json({
-      success: true,
-      message: 'Job triggered successfully'
-    });
-  } catch (error) {
-    console.error('Error triggering job:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to trigger job',
-      message: error.message
-    });
-  }
-});
+app.use('/api/sources', sourcesRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/reviews', reviewsRouter);
+app.use('/api/evaluations', evaluationsRouter);
+app.use('/api/prompts', promptsRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -67,6 +58,11 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`📰 Posts API: http://localhost:${PORT}/api/posts`);
+  console.log(`🗂️ Sources API: http://localhost:${PORT}/api/sources`);
+  console.log(`📋 Jobs API: http://localhost:${PORT}/api/jobs`);
+  console.log(`🧑‍⚖️ Reviews API: http://localhost:${PORT}/api/reviews`);
+  console.log(`🧪 Evaluations API: http://localhost:${PORT}/api/evaluations`);
+  console.log(`📝 Prompts API: http://localhost:${PORT}/api/prompts`);
   
   // Start cron job scheduler
   startCronJob();
@@ -0,0 +1,35 @@
+import pool from '../config/database.js';
+
+/**
+ * Get the crawl watermark for a listing URL
+ * @param {string} listingUrl - Listing page URL
+ * @returns {Promise<Object|null>} Watermark row or null if the listing was never crawled
+ */
+export async function getWatermark(listingUrl) {
+  const result = await pool.query(
+    'SELECT * FROM crawl_watermarks WHERE listing_url = $1',
+    [listingUrl]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Record a crawl of a listing URL. The last seen source_id is only moved
+ * forward when a newer article was found.
+ * @param {string} listingUrl - Listing page URL
+ * @param {string} source - Source adapter name
+ * @param {string|null} lastSeenSourceId - source_id of the newest article on the listing
+ * @returns {Promise<Object>} Upserted watermark row
+ */
+export async function setWatermark(listingUrl, source, lastSeenSourceId) {
+  const result = await pool.query(
+    `INSERT INTO crawl_watermarks (listing_url, source, last_seen_source_id, last_crawled_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (listing_url) DO UPDATE
+     SET last_seen_source_id = COALESCE(EXCLUDED.last_seen_source_id, crawl_watermarks.last_seen_source_id),
+         last_crawled_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [listingUrl, source, lastSeenSourceId]
+  );
+  return result.rows[0];
+}
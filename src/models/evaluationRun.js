@@ -0,0 +1,100 @@
+import pool from '../config/database.js';
+
+// Columns listed for run overviews; per-item results are only returned for a single run
+const SUMMARY_COLUMNS = `id, name, dataset, provider, model, prompt_version, few_shot_examples, status,
+  item_count, metrics, error, started_at, finished_at`;
+
+/**
+ * Record the start of an evaluation run
+ * @param {Object} run - { name, dataset, provider, model, prompt_version, few_shot_examples, item_count }
+ * @returns {Promise<Object>} Created evaluation run
+ */
+export async function createEvaluationRun({ name = null, dataset, provider, model, prompt_version, few_shot_examples, item_count }) {
+  const result = await pool.query(
+    `INSERT INTO evaluation_runs (name, dataset, provider, model, prompt_version, few_shot_examples, item_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [name, dataset, provider, model, prompt_version, few_shot_examples, item_count]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record the end of an evaluation run
+ * @param {number} runId - Evaluation run ID
+ * @param {Object} outcome - { status, metrics, results, error }
+ * @returns {Promise<Object|null>} Updated evaluation run
+ */
+export async function finishEvaluationRun(runId, { status, metrics = {}, results = [], error = null }) {
+  const result = await pool.query(
+    `UPDATE evaluation_runs
+     SET status = $1, metrics = $2, results = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [status, JSON.stringify(metrics), JSON.stringify(results), error, runId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Get evaluation runs without their per-item results, newest first
+ * @param {Object} filters - { model, prompt_version, limit, offset }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getEvaluationRuns(filters = {}) {
+  const { model, prompt_version, limit = 50, offset = 0 } = filters;
+
+  let query = `SELECT ${SUMMARY_COLUMNS} FROM evaluation_runs WHERE 1=1`;
+  const params = [];
+
+  if (model) {
+    params.push(model);
+    query += ` AND model = $${params.length}`;
+  }
+  if (prompt_version) {
+    params.push(prompt_version);
+    query += ` AND prompt_version = $${params.length}`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY started_at DESC, id DESC LIMIT $${params.length}`;
+  params.push(offset);
+  query += ` OFFSET $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Get a single evaluation run with its per-item results
+ * @param {number} runId - Evaluation run ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getEvaluationRunById(runId) {
+  const result = await pool.query('SELECT * FROM evaluation_runs WHERE id = $1', [runId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Count evaluation runs
+ * @param {Object} filters - { model, prompt_version }
+ * @returns {Promise<number>}
+ */
+export async function getEvaluationRunCount(filters = {}) {
+  const { model, prompt_version } = filters;
+
+  let query = 'SELECT COUNT(*) as count FROM evaluation_runs WHERE 1=1';
+  const params = [];
+
+  if (model) {
+    params.push(model);
+    query += ` AND model = $${params.length}`;
+  }
+  if (prompt_version) {
+    params.push(prompt_version);
+    query += ` AND prompt_version = $${params.length}`;
+  }
+
+  const result = await pool.query(query, params);
+  return parseInt(result.rows[0].count);
+}
@@ -0,0 +1,187 @@
+import pool from '../config/database.js';
+
+/**
+ * Thrown when a run is started while another run holds its lock
+ */
+export class JobAlreadyRunningError extends Error {
+  constructor(runningRun) {
+    super(runningRun ? `Job run ${runningRun.id} is already in progress` : 'A job run is already in progress');
+    this.name = 'JobAlreadyRunningError';
+    this.runningRun = runningRun;
+  }
+}
+
+/**
+ * Record the start of a run
+ * @param {string} trigger - 'cron', 'manual' or 'backfill'
+ * @param {Object|null} [params] - Options the run was started with (backfills)
+ * @returns {Promise<Object>} Created job run
+ */
+export async function createJobRun(trigger, params = null) {
+  const result = await pool.query(
+    'INSERT INTO job_runs (trigger, params) VALUES ($1, $2) RETURNING *',
+    [trigger, params ? JSON.stringify(params) : null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record the end of a pipeline run
+ * @param {number} runId - Job run ID
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'succeeded' or 'failed'
+ * @param {Object} outcome.counts - Per-stage counts
+ * @param {Array<Object>} outcome.listings - Per-listing results and errors
+ * @param {string|null} [outcome.error] - Error that aborted the run
+ * @returns {Promise<Object|null>} Updated job run
+ */
+export async function finishJobRun(runId, { status, counts, listings, error = null }) {
+  const result = await pool.query(
+    `UPDATE job_runs
+     SET status = $1, counts = $2, listings = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [status, JSON.stringify(counts), JSON.stringify(listings), error, runId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Get job runs, newest first
+ * @param {Object} filters - { trigger, status, limit, offset }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getJobRuns(filters = {}) {
+  const { trigger, status, limit = 50, offset = 0 } = filters;
+
+  let query = 'SELECT * FROM job_runs WHERE 1=1';
+  const params = [];
+
+  if (trigger) {
+    params.push(trigger);
+    query += ` AND trigger = $${params.length}`;
+  }
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY started_at DESC, id DESC LIMIT $${params.length}`;
+  params.push(offset);
+  query += ` OFFSET $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Count job runs
+ * @param {Object} filters - { trigger, status }
+ * @returns {Promise<number>}
+ */
+export async function getJobRunCount(filters = {}) {
+  const { trigger, status } = filters;
+
+  let query = 'SELECT COUNT(*) FROM job_runs WHERE 1=1';
+  const params = [];
+
+  if (trigger) {
+    params.push(trigger);
+    query += ` AND trigger = $${params.length}`;
+  }
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+
+  const result = await pool.query(query, params);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Get a single job run
+ * @param {number} runId - Job run ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getJobRunById(runId) {
+  const result = await pool.query('SELECT * FROM job_runs WHERE id = $1', [runId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Save a running job's counts and listing results so far
+ * @param {number} runId - Job run ID
+ * @param {Object} counts - Per-stage counts
+ * @param {Array<Object>} listings - Per-listing results and errors
+ */
+export async function updateJobRunProgress(runId, counts, listings) {
+  await pool.query(
+    'UPDATE job_runs SET counts = $1, listings = $2 WHERE id = $3 AND status = \'running\'',
+    [JSON.stringify(counts), JSON.stringify(listings), runId]
+  );
+}
+
+/**
+ * Get the run currently in progress, if any
+ * @param {Array<string>} triggers - Triggers to consider (e.g. ['cron', 'manual'])
+ * @returns {Promise<Object|null>}
+ */
+export async function getRunningJobRun(triggers) {
+  const result = await pool.query(
+    "SELECT * FROM job_runs WHERE status = 'running' AND trigger = ANY($1) ORDER BY started_at DESC LIMIT 1",
+    [triggers]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Mark runs left in 'running' by a process that died as failed. Only call
+ * this while holding the lock for these triggers, when none can really be in progress.
+ * @param {Array<string>} triggers - Triggers covered by the held lock
+ * @returns {Promise<number>} Number of runs marked
+ */
+export async function failInterruptedJobRuns(triggers) {
+  const result = await pool.query(
+    `UPDATE job_runs
+     SET status = 'failed', error = 'Interrupted (process stopped before the run finished)',
+         finished_at = CURRENT_TIMESTAMP
+     WHERE status = 'running' AND trigger = ANY($1)`,
+    [triggers]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Take a cluster-wide "one run at a time" lock. Uses a session-level Postgres
+ * advisory lock, so the lock is held by a dedicated connection for the length
+ * of the run and is released automatically if the process dies.
+ * @param {string} [name='pps_backend_job_run'] - Lock name (one lock per kind of run)
+ * @returns {Promise<(() => Promise<void>)|null>} Release function, or null if another run holds the lock
+ */
+export async function acquireJobRunLock(name = 'pps_backend_job_run') {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+      [name]
+    );
+    if (!result.rows[0].locked) {
+      client.release();
+      return null;
+    }
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  return async () => {
+    try {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+      client.release();
+    } catch (error) {
+      // Destroy the connection so the session (and its lock) ends
+      client.release(error);
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import pool from '../config/database.js';
+
+/**
+ * Queue a pipeline stage for a post. A stage that is already queued is reset
+ * to pending (attempts cleared), so re-enqueueing retries failed work.
+ * @param {number} postId - Post ID
+ * @param {string} stage - 'embed' | 'transform' | 'classify'
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+ * @returns {Promise<Object>} Job row
+ */
+export async function enqueueJob(postId, stage, options = {}) {
+  const maxAttempts = options.maxAttempts || parseInt(process.env.PIPELINE_MAX_ATTEMPTS || '5');
+
+  const result = await pool.query(
+    `INSERT INTO pipeline_jobs (post_id, stage, max_attempts)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (post_id, stage) DO UPDATE
+     SET status = 'pending',
+         attempts = 0,
+         max_attempts = EXCLUDED.max_attempts,
+         next_run_at = CURRENT_TIMESTAMP,
+         locked_at = NULL,
+         last_error = NULL
+     RETURNING *`,
+    [postId, stage, maxAttempts]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim due jobs for this worker. Pending jobs whose next_run_at has passed are
+ * claimed, as are running jobs whose lock is older than staleAfterMinutes (the
+ * worker that held them died). SKIP LOCKED lets several workers run at once.
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum jobs to claim
+ * @param {Array<string>} [options.stages] - Only claim these stages
+ * @param {number} [options.staleAfterMinutes=30] - Age after which a running job is reclaimed; must
+ *   exceed the longest a job can take, counted from its claim
+ * @returns {Promise<Array<Object>>} Claimed jobs (status running, attempts and claim_count incremented)
+ */
+export async function claimJobs(options = {}) {
+  const { limit = 10, stages = null, staleAfterMinutes = 30 } = options;
+
+  const result = await pool.query(
+    `UPDATE pipeline_jobs
+     SET status = 'running', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1, claim_count = claim_count + 1
+     WHERE id IN (
+       SELECT id FROM pipeline_jobs
+       WHERE ((status = 'pending' AND next_run_at <= CURRENT_TIMESTAMP)
+          OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+         AND ($3::text[] IS NULL OR stage = ANY($3))
+       ORDER BY next_run_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, staleAfterMinutes, stages]
+  );
+  return result.rows;
+}
+
+/**
+ * Keep pipeline workers off a post while work outside the queue (a backfill)
+ * runs its stages. The post's job rows are locked in a transaction on a
+ * dedicated connection, and claimJobs skips locked rows, so none of its jobs
+ * is claimed until release.
+ * @param {number} postId - Post ID
+ * @returns {Promise<(() => Promise<void>)|null>} Release function, or null if a worker is running one of the post's jobs
+ */
+export async function lockPostJobs(postId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'SELECT status FROM pipeline_jobs WHERE post_id = $1 FOR UPDATE',
+      [postId]
+    );
+    if (result.rows.some(row => row.status === 'running')) {
+      await client.query('ROLLBACK');
+      client.release();
+      return null;
+    }
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  return async () => {
+    try {
+      await client.query('COMMIT');
+      client.release();
+    } catch (error) {
+      // Destroy the connection so the transaction (and its locks) ends
+      client.release(error);
+    }
+  };
+}
+
+/**
+ * Mark a claimed job as done, unless it has been reclaimed since
+ * @param {Object} job - Claimed job row
+ * @returns {Promise<boolean>} false when another worker holds the job now
+ */
+export async function completeJob(job) {
+  const result = await pool.query(
+    `UPDATE pipeline_jobs
+     SET status = 'done', locked_at = NULL, last_error = NULL
+     WHERE id = $1 AND status = 'running' AND claim_count = $2`,
+    [job.id, job.claim_count]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a failed attempt. The job goes back to pending with next_run_at
+ * pushed out by retryDelayMs, or to failed once max_attempts is reached.
+ * Nothing is recorded when the job has been reclaimed since.
+ * @param {Object} job - Claimed job row
+ * @param {string} errorMessage - Error to record
+ * @param {number} retryDelayMs - Delay before the next attempt
+ * @returns {Promise<Object|null>} Updated job row, or null when another worker holds the job now
+ */
+export async function failJob(job, errorMessage, retryDelayMs) {
+  const result = await pool.query(
+    `UPDATE pipeline_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+         next_run_at = CURRENT_TIMESTAMP + make_interval(secs => $2),
+         locked_at = NULL,
+         last_error = $3
+     WHERE id = $1 AND status = 'running' AND claim_count = $4
+     RETURNING *`,
+    [job.id, retryDelayMs / 1000, errorMessage, job.claim_count]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Count jobs by stage and status
+ * @returns {Promise<Object>} e.g. { embed: { pending: 2, done: 10 }, ... }
+ */
+export async function getJobCounts() {
+  const result = await pool.query(
+    'SELECT stage, status, COUNT(*) AS count FROM pipeline_jobs GROUP BY stage, status'
+  );
+  return result.rows.reduce((acc, row) => {
+    acc[row.stage] = acc[row.stage] || {};
+    acc[row.stage][row.status] = parseInt(row.count);
+    return acc;
+  }, {});
+}
@@ -13,6 +13,21 @@ export async function postExists(sourceId) {
   return result.rows.length > 0;
 }
 
+/**
+ * Find which of the given source_ids are already stored
+ * @param {Array<string>} sourceIds - Source IDs to check
+ * @returns {Promise<Set<string>>} Source IDs that exist
+ */
+export async function getExistingSourceIds(sourceIds) {
+  if (sourceIds.length === 0) return new Set();
+
+  const result = await pool.query(
+    'SELECT source_id FROM posts WHERE source_id = ANY($1)',
+    [sourceIds]
+  );
+  return new Set(result.rows.map(row => row.source_id));
+}
+
 /**
  * Insert a new post into the database
  * @param {Object} postData - Post data object
@@ -27,6 +42,8 @@ export async function insertPost(postData) {
     url,
     author,
     published_at,
+    source_updated_at,
+    published_at_unknown,
     embedding,      // OpenAI ada-002 (1536 dimensions) - optional
     embedding_v2,   // Ollama embeddinggemma (768 dimensions) - optional
     metadata,
@@ -47,8 +64,9 @@ export async function insertPost(postData) {
   const result = await pool.query(
     `INSERT INTO posts (
       source, source_id, title, content, url, author, 
-      published_at, embedding, embedding_v2, metadata, is_interesting
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::vector, $9::vector, $10, $11)
+      published_at, embedding, embedding_v2, metadata, is_interesting,
+      source_updated_at, published_at_unknown
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::vector, $9::vector, $10, $11, $12, $13)
     RETURNING *`,
     [
       source,
@@ -61,7 +79,9 @@ export async function insertPost(postData) {
       embeddingValue,
       embeddingV2Value,
       metadata ? JSON.stringify(metadata) : null,
-      is_interesting
+      is_interesting,
+      source_updated_at || null,
+      published_at_unknown === true
     ]
   );
 
@@ -93,6 +113,232 @@ export async function updatePostClassification(postId, isInteresting, classifica
   return result.rows.length > 0 ? result.rows[0] : null;
 }
 
+/**
+ * Store a post's embedding_v2 vector
+ * @param {number} postId - Post ID
+ * @param {Array<number>} embeddingV2 - Ollama embeddinggemma vector (768 dimensions)
+ * @returns {Promise<Object|null>} Updated post or null if not found
+ */
+export async function updatePostEmbedding(postId, embeddingV2) {
+  const result = await pool.query(
+    `UPDATE posts
+     SET embedding_v2 = $1::vector, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    ['[' + embeddingV2.join(',') + ']', postId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Store the outcome of a post's Q&A transform. posts.content (the raw text) is never touched.
+ * @param {number} postId - Post ID
+ * @param {Object} qa
+ * @param {string} qa.status - 'ok', 'flagged' (the explainer dropped facts) or 'fallback'
+ * @param {string|null} [qa.content] - The explainer as markdown (status 'ok' or 'flagged')
+ * @param {Object|null} [qa.content_json] - The same explainer as sections / Q&A pairs / tables / sources
+ * @param {string|null} [qa.model] - Model that produced it
+ * @param {string|null} [qa.prompt_version] - Prompt version that produced it
+ * @param {Object|null} [qa.params] - Generation parameters it was produced with
+ * @param {number|null} [qa.fact_coverage] - Share of the article's facts found in the explainer
+ * @param {number|null} [qa.condensed_fact_coverage] - Share of them kept by the condensed notes (long articles)
+ * @param {Array<{type: string, text: string}>|null} [qa.missing_facts] - Facts the explainer left out
+ * @param {string|null} [qa.error] - Last error (status 'fallback')
+ * @returns {Promise<Object|null>} Updated post or null if not found
+ */
+export async function updatePostQA(postId, {
+  status,
+  content = null,
+  content_json = null,
+  model = null,
+  prompt_version = null,
+  params = null,
+  fact_coverage = null,
+  condensed_fact_coverage = null,
+  missing_facts = null,
+  error = null
+}) {
+  const result = await pool.query(
+    `UPDATE posts
+     SET content_qa = $1, qa_model = $2, qa_prompt_version = $3, qa_params = $4, qa_status = $5, qa_error = $6,
+         qa_fact_coverage = $7, qa_missing_facts = $8, content_qa_json = $9, qa_condensed_fact_coverage = $10,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $11
+     RETURNING *`,
+    [
+      content,
+      model,
+      prompt_version,
+      params ? JSON.stringify(params) : null,
+      status,
+      error,
+      fact_coverage,
+      missing_facts ? JSON.stringify(missing_facts) : null,
+      content_json ? JSON.stringify(content_json) : null,
+      condensed_fact_coverage,
+      postId
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Move a post to a pipeline stage, unless it is already at or past it
+ * (re-running an earlier stage never moves a post backwards)
+ * @param {number} postId - Post ID
+ * @param {string} stage - 'scraped' | 'embedded' | 'transformed' | 'classified'
+ */
+export async function advancePostStage(postId, stage) {
+  await pool.query(
+    `UPDATE posts
+     SET stage = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+       AND array_position(ARRAY['scraped', 'embedded', 'transformed', 'classified']::varchar[], stage)
+         < array_position(ARRAY['scraped', 'embedded', 'transformed', 'classified']::varchar[], $1::varchar)`,
+    [stage, postId]
+  );
+}
+
+/**
+ * WHERE clause for selecting posts to reprocess
+ * @param {Object} filter - { ids, source, from, to, classification, qa }
+ *   from/to bound published_at (created_at when the published time is unknown);
+ *   classification is 'interesting', 'not_interesting', 'unclassified' or 'failed';
+ *   qa is a qa_status ('ok', 'flagged', 'fallback') or 'untransformed'
+ * @returns {{ where: string, params: Array<*> }}
+ */
+function buildBackfillWhere(filter = {}) {
+  const { ids, source, from, to, classification, qa } = filter;
+  const conditions = [];
+  const params = [];
+
+  if (ids && ids.length > 0) {
+    params.push(ids);
+    conditions.push(`id = ANY($${params.length}::int[])`);
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`source = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`COALESCE(published_at, created_at) >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`COALESCE(published_at, created_at) < $${params.length}`);
+  }
+  if (classification === 'interesting') conditions.push('is_interesting = TRUE');
+  if (classification === 'not_interesting') conditions.push('is_interesting = FALSE');
+  if (classification === 'unclassified') conditions.push('is_interesting IS NULL');
+  if (classification === 'failed') conditions.push("classification_status IN ('llm_error', 'invalid_output')");
+  if (qa === 'untransformed') {
+    conditions.push('qa_status IS NULL');
+  } else if (qa) {
+    params.push(qa);
+    conditions.push(`qa_status = $${params.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE',
+    params
+  };
+}
+
+/**
+ * Count posts matching a backfill filter
+ * @param {Object} filter - See buildBackfillWhere
+ * @returns {Promise<number>}
+ */
+export async function countPostsForBackfill(filter) {
+  const { where, params } = buildBackfillWhere(filter);
+  const result = await pool.query(`SELECT COUNT(*) FROM posts WHERE ${where}`, params);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Next batch of posts matching a backfill filter, in id order. Paging by id
+ * (not OFFSET) keeps batches stable while the backfill changes the posts.
+ * @param {Object} filter - See buildBackfillWhere
+ * @param {number} afterId - Return posts with a larger id
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPostsForBackfill(filter, afterId, limit) {
+  const { where, params } = buildBackfillWhere(filter);
+  const result = await pool.query(
+    `SELECT * FROM posts
+     WHERE ${where} AND id > $${params.length + 1}
+     ORDER BY id
+     LIMIT $${params.length + 2}`,
+    [...params, afterId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Store a successful classification: is_interesting, the detail columns, the
+ * ids of the few-shot example posts, the prompt version / model / parameters
+ * that produced it and reasoning / pillar / anchor merged into metadata.
+ * Marks the post classified ok.
+ * @param {number} postId - Post ID
+ * @param {Object} classification - Validated classifier result (see utils/classificationSchema.js)
+ * @returns {Promise<Object|null>} Updated post or null if not found
+ */
+export async function storeClassification(postId, classification) {
+  const result = await pool.query(
+    `UPDATE posts
+     SET is_interesting = $1,
+         classification_confidence = $2,
+         content_pillars = $3,
+         impact_dimensions = $4,
+         source_credibility = $5,
+         metadata = COALESCE(metadata, '{}'::jsonb) || $6::jsonb,
+         classification_example_ids = $7,
+         classification_prompt_version = $8,
+         classification_model = $9,
+         classification_params = $10,
+         classification_status = 'ok',
+         classification_error = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $11
+     RETURNING *`,
+    [
+      classification.is_interesting,
+      classification.confidence,
+      classification.content_pillars,
+      classification.impact_dimensions,
+      classification.source_credibility,
+      JSON.stringify({
+        reasoning: classification.reasoning,
+        content_pillar: classification.content_pillar,
+        policy_anchor: classification.policy_anchor
+      }),
+      classification.example_ids || [],
+      classification.prompt_version || null,
+      classification.model || null,
+      JSON.stringify(classification.params || {}),
+      postId
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Record a failed classification of a post
+ * @param {number} postId - Post ID
+ * @param {string} status - 'llm_error' or 'invalid_output'
+ * @param {string|null} [error] - Error message
+ */
+export async function setPostClassificationStatus(postId, status, error = null) {
+  await pool.query(
+    `UPDATE posts
+     SET classification_status = $1, classification_error = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [status, error, postId]
+  );
+}
+
 /**
  * Get posts with filters
  * @param {Object} filters - Filter options
@@ -101,7 +347,15 @@ export async function updatePostClassification(postId, isInteresting, classifica
 export async function getPosts(filters = {}) {
   const {
     is_interesting,
+    reviewed,
     source,
+    classification_status,
+    qa_status,
+    min_confidence,
+    pillar,
+    impact,
+    credibility,
+    sort,
     limit = 50,
     offset = 0,
     search
@@ -111,28 +365,81 @@ export async function getPosts(filters = {}) {
   const params = [];
   let paramCount = 0;
 
+  // The reviewer's label wins over the model's (see migrations/013)
   if (is_interesting !== undefined && is_interesting !== null) {
     paramCount++;
-    query += ` AND is_interesting = $${paramCount}`;
+    query += ` AND effective_is_interesting = $${paramCount}`;
     params.push(is_interesting);
   }
 
+  if (reviewed === true) {
+    query += ' AND reviewed_at IS NOT NULL';
+  } else if (reviewed === false) {
+    query += ' AND reviewed_at IS NULL';
+  }
+
   if (source) {
     paramCount++;
     query += ` AND source = $${paramCount}`;
     params.push(source);
   }
 
+  if (classification_status === 'pending') {
+    query += ' AND classification_status IS NULL';
+  } else if (classification_status) {
+    paramCount++;
+    query += ` AND classification_status = $${paramCount}`;
+    params.push(classification_status);
+  }
+
+  if (qa_status === 'pending') {
+    query += ' AND qa_status IS NULL';
+  } else if (qa_status) {
+    paramCount++;
+    query += ` AND qa_status = $${paramCount}`;
+    params.push(qa_status);
+  }
+
+  if (min_confidence !== undefined) {
+    paramCount++;
+    query += ` AND classification_confidence >= $${paramCount}`;
+    params.push(min_confidence);
+  }
+
+  if (pillar) {
+    paramCount++;
+    query += ` AND $${paramCount} = ANY(content_pillars)`;
+    params.push(pillar);
+  }
+
+  // Posts with every one of the given impact dimensions
+  if (impact && impact.length > 0) {
+    paramCount++;
+    query += ` AND impact_dimensions @> $${paramCount}::text[]`;
+    params.push(impact);
+  }
+
+  if (credibility && credibility.length > 0) {
+    paramCount++;
+    query += ` AND source_credibility = ANY($${paramCount})`;
+    params.push(credibility);
+  }
+
   // Semantic search using vector similarity
   if (search) {
     // This would require generating an embedding for the search query
     // For now, we'll do a simple text search
     paramCount++;
-    query += ` AND (title ILIKE $${paramCount} OR content ILIKE $${paramCount})`;
+    query += ` AND (title ILIKE $${paramCount} OR content ILIKE $${paramCount} OR content_qa ILIKE $${paramCount})`;
     params.push(`%${search}%`);
   }
 
-  query += ' ORDER BY published_at DESC, created_at DESC';
+  if (sort === 'confidence') {
+    query += ' ORDER BY classification_confidence DESC NULLS LAST, published_at DESC NULLS LAST';
+  } else {
+    // Posts with an unknown published time sort after dated ones
+    query += ' ORDER BY published_at DESC NULLS LAST, created_at DESC';
+  }
   
   paramCount++;
   query += ` LIMIT $${paramCount}`;
@@ -149,11 +456,11 @@ export async function getPosts(filters = {}) {
 /**
  * Update a post by ID (partial update - only provided fields are updated)
  * @param {number} postId - Post ID
- * @param {Object} updates - Fields to update: title, content, url, author, published_at, is_interesting, metadata
+ * @param {Object} updates - Fields to update: title, content, url, author, published_at, source_updated_at, published_at_unknown, is_interesting, metadata
  * @returns {Promise<Object|null>} Updated post or null if not found
  */
 export async function updatePost(postId, updates) {
-  const allowed = ['title', 'content', 'url', 'author', 'published_at', 'is_interesting', 'metadata'];
+  const allowed = ['title', 'content', 'url', 'author', 'published_at', 'source_updated_at', 'published_at_unknown', 'is_interesting', 'metadata'];
   const keys = Object.keys(updates).filter(k => allowed.includes(k) && updates[k] !== undefined);
   if (keys.length === 0) return getPostById(postId);
 
@@ -191,27 +498,75 @@ export async function getPostById(postId) {
  * @returns {Promise<number>}
  */
 export async function getPostCount(filters = {}) {
-  const { is_interesting, source, search } = filters;
+  const { is_interesting, reviewed, source, classification_status, qa_status, min_confidence, pillar, impact, credibility, search } = filters;
 
   let query = 'SELECT COUNT(*) FROM posts WHERE 1=1';
   const params = [];
   let paramCount = 0;
 
+  // The reviewer's label wins over the model's (see migrations/013)
   if (is_interesting !== undefined && is_interesting !== null) {
     paramCount++;
-    query += ` AND is_interesting = $${paramCount}`;
+    query += ` AND effective_is_interesting = $${paramCount}`;
     params.push(is_interesting);
   }
 
+  if (reviewed === true) {
+    query += ' AND reviewed_at IS NOT NULL';
+  } else if (reviewed === false) {
+    query += ' AND reviewed_at IS NULL';
+  }
+
   if (source) {
     paramCount++;
     query += ` AND source = $${paramCount}`;
     params.push(source);
   }
 
+  if (classification_status === 'pending') {
+    query += ' AND classification_status IS NULL';
+  } else if (classification_status) {
+    paramCount++;
+    query += ` AND classification_status = $${paramCount}`;
+    params.push(classification_status);
+  }
+
+  if (qa_status === 'pending') {
+    query += ' AND qa_status IS NULL';
+  } else if (qa_status) {
+    paramCount++;
+    query += ` AND qa_status = $${paramCount}`;
+    params.push(qa_status);
+  }
+
+  if (min_confidence !== undefined) {
+    paramCount++;
+    query += ` AND classification_confidence >= $${paramCount}`;
+    params.push(min_confidence);
+  }
+
+  if (pillar) {
+    paramCount++;
+    query += ` AND $${paramCount} = ANY(content_pillars)`;
+    params.push(pillar);
+  }
+
+  // Posts with every one of the given impact dimensions
+  if (impact && impact.length > 0) {
+    paramCount++;
+    query += ` AND impact_dimensions @> $${paramCount}::text[]`;
+    params.push(impact);
+  }
+
+  if (credibility && credibility.length > 0) {
+    paramCount++;
+    query += ` AND source_credibility = ANY($${paramCount})`;
+    params.push(credibility);
+  }
+
   if (search) {
     paramCount++;
-    query += ` AND (title ILIKE $${paramCount} OR content ILIKE $${paramCount})`;
+    query += ` AND (title ILIKE $${paramCount} OR content ILIKE $${paramCount} OR content_qa ILIKE $${paramCount})`;
     params.push(`%${search}%`);
   }
 
@@ -0,0 +1,80 @@
+import pool from '../config/database.js';
+
+/**
+ * Replace the stored chunks of a post and record how many it has
+ * @param {number} postId - Post ID
+ * @param {Array<{index: number, content: string, embedding: Array<number>}>} chunks - Chunks with their vectors
+ * @returns {Promise<number>} Number of stored chunks
+ */
+export async function replacePostChunks(postId, chunks) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM post_chunks WHERE post_id = $1', [postId]);
+
+    for (const chunk of chunks) {
+      await client.query(
+        `INSERT INTO post_chunks (post_id, chunk_index, content, embedding)
+         VALUES ($1, $2, $3, $4::vector)`,
+        [postId, chunk.index, chunk.content, '[' + chunk.embedding.join(',') + ']']
+      );
+    }
+
+    await client.query('UPDATE posts SET chunk_count = $1 WHERE id = $2', [chunks.length, postId]);
+    await client.query('COMMIT');
+    return chunks.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the chunks of a post in reading order (without vectors)
+ * @param {number} postId - Post ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPostChunks(postId) {
+  const result = await pool.query(
+    'SELECT id, post_id, chunk_index, content FROM post_chunks WHERE post_id = $1 ORDER BY chunk_index',
+    [postId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find the posts whose chunks are closest to an embedding. Each post appears
+ * once, with its best-matching chunk.
+ * @param {Array<number>} embedding - Query vector (768 dimensions)
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Number of posts
+ * @param {boolean} [options.interestingOnly=false] - Only posts whose effective label is interesting
+ * @returns {Promise<Array<Object>>} Posts with chunk_index, chunk_content and distance, closest first
+ */
+export async function searchPostChunks(embedding, { limit = 10, interestingOnly = false } = {}) {
+  // Nearest chunks first, enough of them to usually fill `limit` distinct posts
+  const result = await pool.query(
+    `WITH nearest AS (
+       SELECT post_id, chunk_index, content, embedding <=> $1::vector AS distance
+       FROM post_chunks
+       ORDER BY embedding <=> $1::vector
+       LIMIT $2 * 5
+     ),
+     best AS (
+       SELECT DISTINCT ON (post_id) post_id, chunk_index, content, distance
+       FROM nearest
+       ORDER BY post_id, distance
+     )
+     SELECT p.id, p.title, p.url, p.source, p.published_at, p.effective_is_interesting,
+            b.chunk_index, b.content AS chunk_content, b.distance
+     FROM best b
+     JOIN posts p ON p.id = b.post_id
+     WHERE NOT $3::boolean OR p.effective_is_interesting IS TRUE
+     ORDER BY b.distance
+     LIMIT $2`,
+    ['[' + embedding.join(',') + ']', limit, interestingOnly]
+  );
+  return result.rows;
+}
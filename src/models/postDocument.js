@@ -0,0 +1,50 @@
+import pool from '../config/database.js';
+
+/**
+ * Store the linked documents fetched for a post (existing URLs are updated)
+ * @param {number} postId - Post ID
+ * @param {Array<Object>} documents - { url, title, content_type, page_count, pages, fetch_error }
+ * @returns {Promise<Array<Object>>} Stored document rows
+ */
+export async function insertPostDocuments(postId, documents = []) {
+  const stored = [];
+
+  for (const doc of documents) {
+    const result = await pool.query(
+      `INSERT INTO post_documents (post_id, url, title, content_type, page_count, pages, fetch_error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (post_id, url) DO UPDATE
+       SET title = EXCLUDED.title,
+           content_type = EXCLUDED.content_type,
+           page_count = EXCLUDED.page_count,
+           pages = EXCLUDED.pages,
+           fetch_error = EXCLUDED.fetch_error
+       RETURNING *`,
+      [
+        postId,
+        doc.url,
+        doc.title || null,
+        doc.content_type || null,
+        doc.page_count || null,
+        doc.pages ? JSON.stringify(doc.pages) : null,
+        doc.fetch_error || null
+      ]
+    );
+    stored.push(result.rows[0]);
+  }
+
+  return stored;
+}
+
+/**
+ * Get the linked documents of a post
+ * @param {number} postId - Post ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPostDocuments(postId) {
+  const result = await pool.query(
+    'SELECT * FROM post_documents WHERE post_id = $1 ORDER BY id',
+    [postId]
+  );
+  return result.rows;
+}
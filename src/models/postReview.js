@@ -0,0 +1,252 @@
+import pool from '../config/database.js';
+
+/**
+ * Record a reviewer's verdict on a post. The review keeps a snapshot of the
+ * model's verdict for agreement stats, and the post's reviewed_* columns are
+ * set to this latest review (posts.is_interesting is left untouched).
+ * @param {number} postId - Post ID
+ * @param {Object} review
+ * @param {string} review.reviewer - Reviewer id
+ * @param {boolean} review.is_interesting - Reviewer's verdict
+ * @param {string|null} [review.note] - Free-text note
+ * @param {string|null} [review.content_pillar] - The pillar the reviewer would assign
+ * @returns {Promise<Object|null>} Created review or null if the post does not exist
+ */
+export async function createReview(postId, { reviewer, is_interesting, note = null, content_pillar = null }) {
+  const result = await pool.query(
+    `WITH post AS (
+       UPDATE posts
+       SET reviewed_is_interesting = $2,
+           reviewed_by = $3,
+           reviewed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, is_interesting, classification_confidence
+     )
+     INSERT INTO post_reviews (post_id, reviewer, is_interesting, note, content_pillar, model_is_interesting, model_confidence)
+     SELECT id, $3, $2, $4, $5, is_interesting, classification_confidence FROM post
+     RETURNING *`,
+    [postId, is_interesting, reviewer, note, content_pillar]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Get the reviews of a post, newest first
+ * @param {number} postId - Post ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPostReviews(postId) {
+  const result = await pool.query(
+    'SELECT * FROM post_reviews WHERE post_id = $1 ORDER BY created_at DESC, id DESC',
+    [postId]
+  );
+  return result.rows;
+}
+
+/**
+ * Build the WHERE clause of the review queue: classified posts nobody has
+ * reviewed yet, optionally only those below a confidence
+ * @param {Object} filters - { max_confidence, source, is_interesting }
+ * @returns {{ where: string, params: Array }}
+ */
+function buildQueueWhere(filters) {
+  const { max_confidence, source, is_interesting } = filters;
+  const conditions = ["reviewed_at IS NULL", "classification_status = 'ok'"];
+  const params = [];
+
+  if (max_confidence !== undefined) {
+    params.push(max_confidence);
+    conditions.push(`(classification_confidence IS NULL OR classification_confidence < $${params.length})`);
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`source = $${params.length}`);
+  }
+  if (is_interesting !== undefined) {
+    params.push(is_interesting);
+    conditions.push(`is_interesting = $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Get unreviewed classified posts, least confident first
+ * @param {Object} filters - { max_confidence, source, is_interesting, limit, offset }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getReviewQueue(filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const { where, params } = buildQueueWhere(filters);
+
+  const result = await pool.query(
+    `SELECT id, title, url, source, published_at, is_interesting, classification_confidence,
+            content_pillars, impact_dimensions, source_credibility, metadata
+     FROM posts
+     WHERE ${where}
+     ORDER BY classification_confidence ASC NULLS FIRST, published_at DESC NULLS LAST
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Count the posts in the review queue
+ * @param {Object} filters - { max_confidence, source, is_interesting }
+ * @returns {Promise<number>}
+ */
+export async function getReviewQueueCount(filters = {}) {
+  const { where, params } = buildQueueWhere(filters);
+  const result = await pool.query(`SELECT COUNT(*) as count FROM posts WHERE ${where}`, params);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Agreement between the model and reviewers. Overall numbers use each post's
+ * latest review; per-reviewer numbers use every review that reviewer made.
+ * Reviews of posts the model had not classified are counted but not compared.
+ * @returns {Promise<Object>} { reviewed_posts, compared, agreed, agreement_rate, confusion, by_reviewer }
+ */
+export async function getReviewStats() {
+  const [overallResult, reviewerResult] = await Promise.all([
+    pool.query(
+      `SELECT model_is_interesting, is_interesting, COUNT(*) as count
+       FROM (
+         SELECT DISTINCT ON (post_id) post_id, model_is_interesting, is_interesting
+         FROM post_reviews
+         ORDER BY post_id, created_at DESC, id DESC
+       ) latest
+       GROUP BY model_is_interesting, is_interesting`
+    ),
+    pool.query(
+      `SELECT reviewer,
+              COUNT(*) as reviews,
+              COUNT(*) FILTER (WHERE model_is_interesting IS NOT NULL) as compared,
+              COUNT(*) FILTER (WHERE model_is_interesting = is_interesting) as agreed,
+              MAX(created_at) as last_review_at
+       FROM post_reviews
+       GROUP BY reviewer
+       ORDER BY reviewer`
+    )
+  ]);
+
+  // Rows: model verdict, columns: reviewer verdict
+  const confusion = {
+    model_interesting: { reviewer_interesting: 0, reviewer_not_interesting: 0 },
+    model_not_interesting: { reviewer_interesting: 0, reviewer_not_interesting: 0 },
+    model_unclassified: { reviewer_interesting: 0, reviewer_not_interesting: 0 }
+  };
+  let reviewedPosts = 0;
+  for (const row of overallResult.rows) {
+    const count = parseInt(row.count);
+    const modelKey = row.model_is_interesting === null
+      ? 'model_unclassified'
+      : row.model_is_interesting ? 'model_interesting' : 'model_not_interesting';
+    const reviewerKey = row.is_interesting ? 'reviewer_interesting' : 'reviewer_not_interesting';
+    confusion[modelKey][reviewerKey] += count;
+    reviewedPosts += count;
+  }
+
+  const agreed = confusion.model_interesting.reviewer_interesting + confusion.model_not_interesting.reviewer_not_interesting;
+  const compared = reviewedPosts - confusion.model_unclassified.reviewer_interesting - confusion.model_unclassified.reviewer_not_interesting;
+
+  return {
+    reviewed_posts: reviewedPosts,
+    compared,
+    agreed,
+    agreement_rate: compared > 0 ? agreed / compared : null,
+    confusion,
+    by_reviewer: reviewerResult.rows.map(row => {
+      const reviewerCompared = parseInt(row.compared);
+      const reviewerAgreed = parseInt(row.agreed);
+      return {
+        reviewer: row.reviewer,
+        reviews: parseInt(row.reviews),
+        compared: reviewerCompared,
+        agreed: reviewerAgreed,
+        agreement_rate: reviewerCompared > 0 ? reviewerAgreed / reviewerCompared : null,
+        last_review_at: row.last_review_at
+      };
+    })
+  };
+}
+
+/**
+ * Get reviewed posts as a labeled set: the latest review's verdict and pillar
+ * are the expected labels
+ * @param {Object} filters - { source, limit }
+ * @returns {Promise<Array<Object>>} Posts with embedding_v2, reviewed_is_interesting and reviewed_pillar
+ */
+export async function getReviewedPosts(filters = {}) {
+  const { source, limit } = filters;
+  const params = [];
+
+  let query = `SELECT p.id, p.title, p.content, p.url, p.embedding_v2, p.reviewed_is_interesting, r.content_pillar AS reviewed_pillar
+     FROM posts p
+     LEFT JOIN LATERAL (
+       SELECT content_pillar FROM post_reviews
+       WHERE post_id = p.id
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1
+     ) r ON true
+     WHERE p.reviewed_at IS NOT NULL`;
+
+  if (source) {
+    params.push(source);
+    query += ` AND p.source = $${params.length}`;
+  }
+
+  query += ' ORDER BY p.id';
+  if (limit) {
+    params.push(limit);
+    query += ` LIMIT $${params.length}`;
+  }
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Find the reviewed posts closest to an embedding (cosine distance on
+ * embedding_v2), to show the classifier as labeled examples. The pillar is the
+ * reviewer's, or the model's top pillar when the reviewer confirmed the post
+ * as interesting without giving one.
+ * @param {Array<number>|string} embedding - 768-dimension vector (array or pgvector text)
+ * @param {Object} [options]
+ * @param {number} [options.limit=3] - Number of posts
+ * @param {number} [options.excludeId] - Post to leave out (the one being classified)
+ * @param {string} [options.excludeUrl] - Leave out the post with this URL too (an article that
+ *   is a stored post without its id, e.g. an evaluation item)
+ * @param {number} [options.excerptLength=600] - Characters of content returned as `excerpt`
+ * @returns {Promise<Array<Object>>} { id, title, excerpt, is_interesting, content_pillar, distance }
+ */
+export async function findSimilarReviewedPosts(embedding, { limit = 3, excludeId = null, excludeUrl = null, excerptLength = 600 } = {}) {
+  const vector = Array.isArray(embedding) ? '[' + embedding.join(',') + ']' : embedding;
+
+  const result = await pool.query(
+    `SELECT p.id, p.title, LEFT(p.content, $4) AS excerpt,
+            p.reviewed_is_interesting AS is_interesting,
+            COALESCE(
+              r.content_pillar,
+              CASE WHEN p.reviewed_is_interesting AND p.is_interesting THEN p.content_pillars[1] END
+            ) AS content_pillar,
+            p.embedding_v2 <=> $1::vector AS distance
+     FROM posts p
+     LEFT JOIN LATERAL (
+       SELECT content_pillar FROM post_reviews
+       WHERE post_id = p.id
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1
+     ) r ON true
+     WHERE p.reviewed_at IS NOT NULL
+       AND p.embedding_v2 IS NOT NULL
+       AND ($3::integer IS NULL OR p.id <> $3)
+       AND ($5::text IS NULL OR p.url <> $5)
+     ORDER BY p.embedding_v2 <=> $1::vector
+     LIMIT $2`,
+    [vector, limit, excludeId, excerptLength, excludeUrl]
+  );
+  return result.rows;
+}
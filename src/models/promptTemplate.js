@@ -0,0 +1,178 @@
+import pool from '../config/database.js';
+
+/**
+ * Get prompt template versions, newest first
+ * @param {Object} filters - { task, status }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPromptTemplates(filters = {}) {
+  const { task, status } = filters;
+
+  let query = 'SELECT * FROM prompt_templates WHERE 1=1';
+  const params = [];
+
+  if (task) {
+    params.push(task);
+    query += ` AND task = $${params.length}`;
+  }
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+
+  query += ' ORDER BY task, created_at DESC, id DESC';
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Get a prompt template by ID
+ * @param {number} id - Template ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getPromptTemplateById(id) {
+  const result = await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [id]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Get a task's template by version
+ * @param {string} task - 'classify' | 'transform'
+ * @param {string} version - Version label
+ * @returns {Promise<Object|null>}
+ */
+export async function getPromptTemplateByVersion(task, version) {
+  const result = await pool.query(
+    'SELECT * FROM prompt_templates WHERE task = $1 AND version = $2',
+    [task, version]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Get the active and candidate templates of a task
+ * @param {string} task - 'classify' | 'transform'
+ * @returns {Promise<{active: Object|null, candidate: Object|null}>}
+ */
+export async function getLiveTemplates(task) {
+  const result = await pool.query(
+    "SELECT * FROM prompt_templates WHERE task = $1 AND status IN ('active', 'candidate')",
+    [task]
+  );
+  return {
+    active: result.rows.find(row => row.status === 'active') || null,
+    candidate: result.rows.find(row => row.status === 'candidate') || null
+  };
+}
+
+/**
+ * Store a new template version (inactive until activated)
+ * @param {Object} data - { task, version, template, description, model, params }
+ * @returns {Promise<Object>} Created template
+ */
+export async function createPromptTemplate({ task, version, template, description = null, model = null, params = {} }) {
+  const result = await pool.query(
+    `INSERT INTO prompt_templates (task, version, template, description, model, params)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [task, version, template, description, model, JSON.stringify(params)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Set a template's status. Making a template active or candidate demotes the
+ * task's current holder of that status to inactive.
+ * @param {number} id - Template ID
+ * @param {string} status - 'active' | 'candidate' | 'inactive'
+ * @param {number} [candidatePercent=0] - Share of posts routed to a candidate (0-100)
+ * @returns {Promise<Object|null>} Updated template or null if not found
+ */
+export async function setPromptTemplateStatus(id, status, candidatePercent = 0) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM prompt_templates WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (status !== 'inactive') {
+      await client.query(
+        `UPDATE prompt_templates SET status = 'inactive', candidate_percent = 0
+         WHERE task = $1 AND status = $2 AND id <> $3`,
+        [current.rows[0].task, status, id]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE prompt_templates SET status = $1, candidate_percent = $2
+       WHERE id = $3
+       RETURNING *`,
+      [status, status === 'candidate' ? candidatePercent : 0, id]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Outcomes per prompt version of a task, to compare an A/B candidate with the
+ * active prompt. Classify: verdicts, mean confidence and agreement with
+ * reviewers; transform: explainers, their length, fact coverage and how many were flagged.
+ * @param {string} task - 'classify' | 'transform'
+ * @returns {Promise<Array<Object>>} One row per prompt version
+ */
+export async function getPromptVersionStats(task) {
+  if (task === 'classify') {
+    const result = await pool.query(
+      `SELECT classification_prompt_version AS version,
+              COUNT(*) AS posts,
+              COUNT(*) FILTER (WHERE is_interesting) AS interesting,
+              AVG(classification_confidence) AS mean_confidence,
+              COUNT(*) FILTER (WHERE reviewed_at IS NOT NULL) AS reviewed,
+              COUNT(*) FILTER (WHERE reviewed_at IS NOT NULL AND reviewed_is_interesting = is_interesting) AS agreed
+       FROM posts
+       WHERE classification_prompt_version IS NOT NULL
+       GROUP BY classification_prompt_version
+       ORDER BY classification_prompt_version`
+    );
+    return result.rows.map(row => ({
+      version: row.version,
+      posts: parseInt(row.posts),
+      interesting: parseInt(row.interesting),
+      interesting_rate: parseInt(row.posts) > 0 ? parseInt(row.interesting) / parseInt(row.posts) : null,
+      mean_confidence: row.mean_confidence !== null ? parseFloat(row.mean_confidence) : null,
+      reviewed: parseInt(row.reviewed),
+      review_agreement_rate: parseInt(row.reviewed) > 0 ? parseInt(row.agreed) / parseInt(row.reviewed) : null
+    }));
+  }
+
+  // Only stored explainers record the prompt version that produced them
+  const result = await pool.query(
+    `SELECT qa_prompt_version AS version,
+            COUNT(*) AS posts,
+            AVG(LENGTH(content_qa)) AS mean_length,
+            AVG(qa_fact_coverage) AS mean_fact_coverage,
+            COUNT(*) FILTER (WHERE qa_status = 'flagged') AS flagged
+     FROM posts
+     WHERE qa_prompt_version IS NOT NULL AND qa_status IN ('ok', 'flagged')
+     GROUP BY qa_prompt_version
+     ORDER BY qa_prompt_version`
+  );
+  return result.rows.map(row => ({
+    version: row.version,
+    posts: parseInt(row.posts),
+    mean_length: row.mean_length !== null ? Math.round(parseFloat(row.mean_length)) : null,
+    mean_fact_coverage: row.mean_fact_coverage !== null ? parseFloat(row.mean_fact_coverage) : null,
+    flagged: parseInt(row.flagged)
+  }));
+}
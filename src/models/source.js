@@ -0,0 +1,202 @@
+import pool from '../config/database.js';
+
+// name is fixed at creation: it is posts.source and part of feed posts' source_id
+const SOURCE_FIELDS = ['adapter', 'enabled', 'config'];
+const LISTING_FIELDS = ['url', 'enabled', 'category', 'max_articles', 'crawl_interval_minutes'];
+
+// Sources with their listings (and each listing's last crawl time) as a JSON array
+const SOURCE_WITH_LISTINGS_SQL = `
+  SELECT s.*,
+         COALESCE(
+           json_agg(
+             json_build_object(
+               'id', l.id,
+               'url', l.url,
+               'enabled', l.enabled,
+               'category', l.category,
+               'max_articles', l.max_articles,
+               'crawl_interval_minutes', l.crawl_interval_minutes,
+               'last_crawled_at', w.last_crawled_at,
+               'created_at', l.created_at,
+               'updated_at', l.updated_at
+             ) ORDER BY l.id
+           ) FILTER (WHERE l.id IS NOT NULL),
+           '[]'
+         ) AS listings
+  FROM sources s
+  LEFT JOIN source_listings l ON l.source_id = s.id
+  LEFT JOIN crawl_watermarks w ON w.listing_url = l.url`;
+
+/**
+ * Build "col = $n" assignments for a partial update
+ * @param {Object} updates - Requested changes
+ * @param {Array<string>} allowed - Updatable columns
+ * @returns {{ keys: Array<string>, setClause: string, values: Array<*> }}
+ */
+function buildUpdate(updates, allowed) {
+  const keys = Object.keys(updates).filter(k => allowed.includes(k) && updates[k] !== undefined);
+  const setClause = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+  const values = keys.map(k => (k === 'config' ? JSON.stringify(updates[k]) : updates[k]));
+  return { keys, setClause, values };
+}
+
+/**
+ * List all sources with their listings
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSources() {
+  const result = await pool.query(`${SOURCE_WITH_LISTINGS_SQL} GROUP BY s.id ORDER BY s.id`);
+  return result.rows;
+}
+
+/**
+ * Get one source with its listings
+ * @param {number} sourceId - Source ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getSourceById(sourceId) {
+  const result = await pool.query(
+    `${SOURCE_WITH_LISTINGS_SQL} WHERE s.id = $1 GROUP BY s.id`,
+    [sourceId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Create a source
+ * @param {Object} source - { name, adapter, enabled, config }
+ * @returns {Promise<Object>} Created source row
+ */
+export async function createSource(source) {
+  const { name, adapter, enabled = true, config = {} } = source;
+  const result = await pool.query(
+    `INSERT INTO sources (name, adapter, enabled, config)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [name, adapter, enabled, JSON.stringify(config)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update a source (partial update - only provided fields are updated)
+ * @param {number} sourceId - Source ID
+ * @param {Object} updates - Fields to update: adapter, enabled, config (name cannot change)
+ * @returns {Promise<Object|null>} Updated source or null if not found
+ */
+export async function updateSource(sourceId, updates) {
+  const { keys, setClause, values } = buildUpdate(updates, SOURCE_FIELDS);
+  if (keys.length === 0) return getSourceById(sourceId);
+
+  const result = await pool.query(
+    `UPDATE sources SET ${setClause} WHERE id = $${keys.length + 1} RETURNING *`,
+    [...values, sourceId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Delete a source and its listings
+ * @param {number} sourceId - Source ID
+ * @returns {Promise<boolean>} Whether a source was deleted
+ */
+export async function deleteSource(sourceId) {
+  const result = await pool.query('DELETE FROM sources WHERE id = $1', [sourceId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Add a listing URL to a source
+ * @param {number} sourceId - Source ID
+ * @param {Object} listing - { url, enabled, category, max_articles, crawl_interval_minutes }
+ * @returns {Promise<Object>} Created listing row
+ */
+export async function createListing(sourceId, listing) {
+  const {
+    url,
+    enabled = true,
+    category = null,
+    max_articles = 0,
+    crawl_interval_minutes = 0
+  } = listing;
+
+  const result = await pool.query(
+    `INSERT INTO source_listings (source_id, url, enabled, category, max_articles, crawl_interval_minutes)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [sourceId, url, enabled, category, max_articles, crawl_interval_minutes]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update a listing of a source (partial update)
+ * @param {number} sourceId - Source ID
+ * @param {number} listingId - Listing ID
+ * @param {Object} updates - Fields to update: url, enabled, category, max_articles, crawl_interval_minutes
+ * @returns {Promise<Object|null>} Updated listing or null if not found
+ */
+export async function updateListing(sourceId, listingId, updates) {
+  const { keys, setClause, values } = buildUpdate(updates, LISTING_FIELDS);
+  if (keys.length === 0) {
+    const existing = await pool.query(
+      'SELECT * FROM source_listings WHERE id = $1 AND source_id = $2',
+      [listingId, sourceId]
+    );
+    return existing.rows.length > 0 ? existing.rows[0] : null;
+  }
+
+  const result = await pool.query(
+    `UPDATE source_listings SET ${setClause}
+     WHERE id = $${keys.length + 1} AND source_id = $${keys.length + 2}
+     RETURNING *`,
+    [...values, listingId, sourceId]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Delete a listing of a source
+ * @param {number} sourceId - Source ID
+ * @param {number} listingId - Listing ID
+ * @returns {Promise<boolean>} Whether a listing was deleted
+ */
+export async function deleteListing(sourceId, listingId) {
+  const result = await pool.query(
+    'DELETE FROM source_listings WHERE id = $1 AND source_id = $2',
+    [listingId, sourceId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active crawl configuration: enabled sources with the enabled listings that
+ * are due (never crawled, or crawl_interval_minutes elapsed since the last crawl).
+ * @returns {Promise<Array<Object>>} Sources with a non-empty `listings` array
+ */
+export async function getActiveSourceConfig() {
+  const result = await pool.query(
+    `SELECT s.*,
+            json_agg(
+              json_build_object(
+                'id', l.id,
+                'url', l.url,
+                'category', l.category,
+                'max_articles', l.max_articles,
+                'crawl_interval_minutes', l.crawl_interval_minutes
+              ) ORDER BY l.id
+            ) AS listings
+     FROM sources s
+     JOIN source_listings l ON l.source_id = s.id
+     LEFT JOIN crawl_watermarks w ON w.listing_url = l.url
+     WHERE s.enabled AND l.enabled
+       AND (
+         l.crawl_interval_minutes = 0
+         OR w.last_crawled_at IS NULL
+         OR w.last_crawled_at <= CURRENT_TIMESTAMP - make_interval(mins => l.crawl_interval_minutes)
+       )
+     GROUP BY s.id
+     ORDER BY s.id`
+  );
+  return result.rows;
+}
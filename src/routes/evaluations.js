@@ -0,0 +1,195 @@
+import express from 'express';
+import { getEvaluationRuns, getEvaluationRunCount, getEvaluationRunById } from '../models/evaluationRun.js';
+import {
+  parseEvaluationOptions,
+  startEvaluation,
+  compareEvaluationRuns,
+  EvaluationOptionsError
+} from '../services/evaluation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/evaluations
+ * List classifier evaluation runs (metrics only), newest first
+ *
+ * Query parameters:
+ * - model: string
+ * - prompt_version: string
+ * - limit: number (default: 50)
+ * - offset: number (default: 0)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { model, prompt_version, limit = 50, offset = 0 } = req.query;
+
+    const limitInt = parseInt(limit) || 50;
+    const offsetInt = parseInt(offset) || 0;
+
+    const filters = {
+      model: model || undefined,
+      prompt_version: prompt_version || undefined,
+      limit: limitInt,
+      offset: offsetInt
+    };
+
+    const [runs, totalCount] = await Promise.all([
+      getEvaluationRuns(filters),
+      getEvaluationRunCount(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        total: totalCount,
+        limit: limitInt,
+        offset: offsetInt,
+        hasMore: offsetInt + limitInt < totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation runs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/evaluations
+ * Run classifyArticle over a labeled set in the background. Returns 202 with
+ * the run; poll GET /api/evaluations/:id for its metrics.
+ *
+ * Body:
+ * - dataset: 'reviews' (human-reviewed posts, default) or omit and give items
+ * - items: [{ id, post_id, title, content, url, is_interesting, content_pillar }] (inline labeled set)
+ * - source: string (reviews only)
+ * - limit: number
+ * - model: string (model to evaluate instead of the configured classify model)
+ * - prompt_version: string (classify prompt version to evaluate; default: the active one)
+ * - examples: number (few-shot examples per item; 0 for zero-shot)
+ * - name: string (label for the run)
+ * - delay_ms: number (pause between items)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { dataset, items, source, limit, model, prompt_version, examples, name, delay_ms } = req.body || {};
+    const options = parseEvaluationOptions({ dataset, items, source, limit, model, prompt_version, examples, name, delay_ms });
+    if (options.dataset === 'file') {
+      throw new EvaluationOptionsError('JSONL files can only be evaluated from the CLI (npm run evaluate)');
+    }
+
+    const { run } = await startEvaluation(options);
+
+    res.status(202).json({
+      success: true,
+      data: run,
+      links: {
+        run: `/api/evaluations/${run.id}`
+      }
+    });
+  } catch (error) {
+    if (error instanceof EvaluationOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid evaluation options',
+        message: error.message
+      });
+    }
+    console.error('Error starting evaluation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start evaluation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/evaluations/compare?base=:id&candidate=:id
+ * Metrics of two runs side by side, and the items whose verdicts changed
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const baseId = parseInt(req.query.base);
+    const candidateId = parseInt(req.query.candidate);
+
+    if (isNaN(baseId) || isNaN(candidateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid run IDs',
+        message: 'base and candidate must be evaluation run IDs'
+      });
+    }
+
+    const [base, candidate] = await Promise.all([
+      getEvaluationRunById(baseId),
+      getEvaluationRunById(candidateId)
+    ]);
+    const missing = !base ? baseId : !candidate ? candidateId : null;
+    if (missing !== null) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found',
+        message: `Evaluation run with ID ${missing} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareEvaluationRuns(base, candidate)
+    });
+  } catch (error) {
+    console.error('Error comparing evaluation runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare evaluation runs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/evaluations/:id
+ * A single evaluation run with its per-item results
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+
+    if (isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid run ID',
+        message: 'Run ID must be a valid number'
+      });
+    }
+
+    const run = await getEvaluationRunById(runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found',
+        message: `Evaluation run with ID ${runId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation run',
+      message: error.message
+    });
+  }
+});
+
+export default router;
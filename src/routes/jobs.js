@@ -0,0 +1,278 @@
+import express from 'express';
+import { getJobRuns, getJobRunCount, getJobRunById, JobAlreadyRunningError } from '../models/jobRun.js';
+import { triggerJob } from '../services/cron.js';
+import { parseBackfillOptions, countBackfill, startBackfill, BackfillOptionsError } from '../services/backfill.js';
+import { getProgress, subscribeToProgress } from '../services/jobProgress.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * List pipeline runs, newest first
+ *
+ * Query parameters:
+ * - trigger: string ('cron', 'manual' or 'backfill')
+ * - status: string ('running', 'succeeded' or 'failed')
+ * - limit: number (default: 50)
+ * - offset: number (default: 0)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { trigger, status, limit = 50, offset = 0 } = req.query;
+
+    const limitInt = parseInt(limit) || 50;
+    const offsetInt = parseInt(offset) || 0;
+
+    const filters = {
+      trigger: trigger || undefined,
+      status: status || undefined,
+      limit: limitInt,
+      offset: offsetInt
+    };
+
+    const [runs, totalCount] = await Promise.all([
+      getJobRuns(filters),
+      getJobRunCount(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        total: totalCount,
+        limit: limitInt,
+        offset: offsetInt,
+        hasMore: offsetInt + limitInt < totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job runs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/trigger
+ * Start the scrape + pipeline job (consider adding auth). Responds 202 with the
+ * run as soon as it has started, or 409 when a run is already in progress.
+ */
+router.post('/trigger', async (req, res) => {
+  try {
+    console.log('🔄 Manual job trigger requested');
+    const run = await triggerJob();
+    res.status(202).json({
+      success: true,
+      message: 'Job started',
+      data: run,
+      links: {
+        status: `/api/jobs/${run.id}`,
+        events: `/api/jobs/${run.id}/events`
+      }
+    });
+  } catch (error) {
+    if (error instanceof JobAlreadyRunningError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job already running',
+        message: error.message,
+        data: error.runningRun
+      });
+    }
+    console.error('Error triggering job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/backfill
+ * Redo pipeline stages on posts we already have (after a prompt or model change).
+ * Responds 202 with the run (trigger 'backfill'), 200 with the match count for a
+ * dry run, or 409 when a backfill is already in progress.
+ *
+ * Body:
+ * - stages: array of 'embed' | 'transform' | 'classify' (run in that order)
+ * - filter: { ids: number[], source: string, from: date, to: date,
+ *             classification: 'interesting' | 'not_interesting' | 'unclassified' | 'failed',
+ *             qa: 'ok' | 'flagged' | 'fallback' | 'untransformed' }
+ *   (from/to bound published_at, or created_at when the published time is unknown)
+ * - batch_size: number (posts per batch, default: 20)
+ * - delay_ms: number (pause after each post, default: 500)
+ * - dry_run: boolean (only count matching posts)
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    const options = parseBackfillOptions(req.body);
+
+    if (req.body.dry_run === true) {
+      const matched = await countBackfill(options);
+      return res.json({
+        success: true,
+        message: `Backfill would process ${matched} post(s)`,
+        data: { dry_run: true, matched, ...options }
+      });
+    }
+
+    console.log('🔁 Backfill requested');
+    const { run } = await startBackfill(options);
+    res.status(202).json({
+      success: true,
+      message: 'Backfill started',
+      data: run,
+      links: {
+        status: `/api/jobs/${run.id}`,
+        events: `/api/jobs/${run.id}/events`
+      }
+    });
+  } catch (error) {
+    if (error instanceof BackfillOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid backfill options',
+        message: error.message
+      });
+    }
+    if (error instanceof JobAlreadyRunningError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Backfill already running',
+        message: error.message,
+        data: error.runningRun
+      });
+    }
+    console.error('Error starting backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start backfill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a single run with its per-stage counts and per-listing results. While the
+ * run is in progress (and for a while after), `progress` holds the live counts,
+ * current phase and the most recent per-article events.
+ *
+ * URL parameters:
+ * - id: number (job run ID)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+
+    if (isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job run ID',
+        message: 'Job run ID must be a valid number'
+      });
+    }
+
+    const run = await getJobRunById(runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job run not found',
+        message: `Job run with ID ${runId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        progress: getProgress(runId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching job run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job run',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a run's progress. Events seen so far are sent
+ * first; the stream ends with a `finished` event.
+ *
+ * Event types: phase, listing, article, pipeline, finished (data is JSON with
+ * the event fields and the live counts). A run that is in progress in another
+ * process gets a single `untracked` event; poll GET /api/jobs/:id instead.
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+
+    if (isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job run ID',
+        message: 'Job run ID must be a valid number'
+      });
+    }
+
+    const run = await getJobRunById(runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job run not found',
+        message: `Job run with ID ${runId} does not exist`
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (event.type === 'finished') res.end();
+    };
+
+    const unsubscribe = subscribeToProgress(runId, send);
+    if (!unsubscribe) {
+      // Not tracked by this process: finished a while ago, or running in another process
+      if (run.status === 'running') {
+        res.write(`event: untracked\ndata: ${JSON.stringify({ status: run.status, counts: run.counts })}\n\n`);
+        return res.end();
+      }
+      send({ id: 1, type: 'finished', at: new Date().toISOString(), status: run.status, error: run.error, counts: run.counts });
+      return;
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Error streaming job run events:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream job run events',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,15 +1,50 @@
 import express from 'express';
 import { getPosts, getPostCount, getPostById, updatePostClassification } from '../models/post.js';
+import { getPostDocuments } from '../models/postDocument.js';
+import { createReview, getPostReviews } from '../models/postReview.js';
+import { searchPostChunks } from '../models/postChunk.js';
+import { generateEmbedding } from '../services/embedding.js';
+import { normalizePillar, IMPACT_DIMENSIONS, CREDIBILITY_TIERS } from '../utils/classificationSchema.js';
 
 const router = express.Router();
 
+// qa_status filter values ('pending' = not transformed yet)
+const QA_STATUSES = ['ok', 'flagged', 'fallback', 'pending'];
+
+/**
+ * Split a comma-separated query value into trimmed, lowercased entries
+ * @param {string|undefined} value - Raw query value
+ * @returns {string[]} Entries (empty if the value is missing)
+ */
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
 /**
  * GET /api/posts
- * Fetch posts with optional filters
+ * Fetch posts with optional filters. Each post carries the raw article in
+ * `content` and the LLM Q&A explainer in `content_qa`, with `qa_status`
+ * ('ok', 'flagged' when the explainer dropped facts from the article,
+ * 'fallback' when the transform failed and only the raw text exists, or null
+ * while pending), `qa_model`, `qa_prompt_version`, `qa_fact_coverage`,
+ * `qa_missing_facts` and `qa_condensed_fact_coverage` (long articles). `content_qa_json` holds the same explainer as sections of
+ * question/answer pairs with tables and source links (null for explainers
+ * written before it existed). The model's verdict
+ * is `is_interesting`, a reviewer's is `reviewed_is_interesting` and the label to
+ * use is `effective_is_interesting` (the reviewer's when there is one).
  * 
  * Query parameters:
- * - is_interesting: boolean (filter by classification)
+ * - is_interesting: boolean (filter by the effective label)
+ * - reviewed: boolean (only posts with / without a review)
  * - source: string (filter by source)
+ * - classification_status: string ('ok', 'llm_error', 'invalid_output', or 'pending' for not yet classified)
+ * - qa_status: string ('ok', 'flagged', 'fallback', or 'pending' for not yet transformed)
+ * - min_confidence: number 0-1 (only posts classified with at least this confidence)
+ * - pillar: string (posts tagged with this content pillar, e.g. SCHEMES)
+ * - impact: comma-separated impact dimensions (posts tagged with all of them)
+ * - credibility: comma-separated source credibility tiers (posts matching any of them)
+ * - sort: 'confidence' to rank by classification confidence (default: newest first)
  * - limit: number (default: 50)
  * - offset: number (default: 0)
  * - search: string (text search in title/content)
@@ -18,12 +53,63 @@ router.get('/', async (req, res) => {
   try {
     const {
       is_interesting,
+      reviewed,
       source,
+      classification_status,
+      qa_status,
+      min_confidence,
+      pillar,
+      impact,
+      credibility,
+      sort,
       limit = 200,
       offset = 0,
       search
     } = req.query;
 
+    let minConfidence = undefined;
+    if (min_confidence !== undefined && min_confidence !== '') {
+      minConfidence = Number(min_confidence);
+      if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          message: 'min_confidence must be a number between 0 and 1'
+        });
+      }
+    }
+
+    if (qa_status && !QA_STATUSES.includes(qa_status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `qa_status must be one of: ${QA_STATUSES.join(', ')}`
+      });
+    }
+
+    const pillarFilter = pillar ? normalizePillar(pillar) : undefined;
+    if (pillar && !pillarFilter) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `Unknown pillar "${pillar}"`
+      });
+    }
+
+    const impactFilter = parseList(impact);
+    const unknownImpact = impactFilter.filter(i => !IMPACT_DIMENSIONS.includes(i));
+    const credibilityFilter = parseList(credibility);
+    const unknownCredibility = credibilityFilter.filter(c => !CREDIBILITY_TIERS.includes(c));
+    if (unknownImpact.length > 0 || unknownCredibility.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: unknownImpact.length > 0
+          ? `Unknown impact dimension(s): ${unknownImpact.join(', ')} (expected ${IMPACT_DIMENSIONS.join(', ')})`
+          : `Unknown credibility tier(s): ${unknownCredibility.join(', ')} (expected ${CREDIBILITY_TIERS.join(', ')})`
+      });
+    }
+
     // Parse is_interesting as boolean
     let isInterestingFilter = undefined;
     if (is_interesting !== undefined) {
@@ -43,7 +129,15 @@ router.get('/', async (req, res) => {
     // Build filters object
     const filters = {
       is_interesting: isInterestingFilter,
+      reviewed: reviewed === 'true' ? true : reviewed === 'false' ? false : undefined,
       source: source || undefined,
+      classification_status: classification_status || undefined,
+      qa_status: qa_status || undefined,
+      min_confidence: minConfidence,
+      pillar: pillarFilter,
+      impact: impactFilter,
+      credibility: credibilityFilter,
+      sort: sort === 'confidence' ? 'confidence' : undefined,
       limit: limitInt,
       offset: offsetInt,
       search: search || undefined
@@ -107,6 +201,19 @@ router.get('/stats', async (req, res) => {
       'SELECT source, COUNT(*) as count FROM posts GROUP BY source'
     );
 
+    // Pipeline progress: posts per stage and queued jobs per stage/status
+    const stageResult = await pool.query(
+      'SELECT stage, COUNT(*) as count FROM posts GROUP BY stage'
+    );
+    const classificationResult = await pool.query(
+      "SELECT COALESCE(classification_status, 'pending') AS status, COUNT(*) as count FROM posts GROUP BY 1"
+    );
+    const qaResult = await pool.query(
+      "SELECT COALESCE(qa_status, 'pending') AS status, COUNT(*) as count FROM posts GROUP BY 1"
+    );
+    const { getJobCounts } = await import('../models/pipelineJob.js');
+    const pipelineJobs = await getJobCounts();
+
     res.json({
       success: true,
       data: {
@@ -117,7 +224,20 @@ router.get('/stats', async (req, res) => {
         bySource: sourceResult.rows.reduce((acc, row) => {
           acc[row.source] = parseInt(row.count);
           return acc;
-        }, {})
+        }, {}),
+        byStage: stageResult.rows.reduce((acc, row) => {
+          acc[row.stage] = parseInt(row.count);
+          return acc;
+        }, {}),
+        byClassificationStatus: classificationResult.rows.reduce((acc, row) => {
+          acc[row.status] = parseInt(row.count);
+          return acc;
+        }, {}),
+        byQAStatus: qaResult.rows.reduce((acc, row) => {
+          acc[row.status] = parseInt(row.count);
+          return acc;
+        }, {}),
+        pipelineJobs
       }
     });
   } catch (error) {
@@ -130,9 +250,52 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/posts/search
+ * Semantic search over article chunks: the query is embedded and matched
+ * against every chunk, so passages deep inside long articles are found too.
+ * Each post appears once, with its best-matching chunk.
+ *
+ * Query parameters:
+ * - q: string (required)
+ * - is_interesting: 'true' to only return posts whose effective label is interesting
+ * - limit: number (default: 10, max 50)
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: 'q is required'
+      });
+    }
+
+    const limitInt = Math.min(parseInt(req.query.limit) || 10, 50);
+    const embedding = await generateEmbedding(query);
+    const results = await searchPostChunks(embedding, {
+      limit: limitInt,
+      interestingOnly: req.query.is_interesting === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search posts',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/posts/:id
- * Get a single post by ID
+ * Get a single post by ID, with the official documents it links to and its reviews (newest first)
  * 
  * URL parameters:
  * - id: number (post ID)
@@ -160,10 +323,16 @@ router.get('/:id', async (req, res) => {
     }
     // Exclude embedding from response
     const { embedding, ...postWithoutEmbedding } = post;
+    const [documents, reviews] = await Promise.all([
+      getPostDocuments(postId),
+      getPostReviews(postId)
+    ]);
     
     const formattedPost = {
       ...postWithoutEmbedding,
-      metadata: post.metadata ? (typeof post.metadata === 'string' ? JSON.parse(post.metadata) : post.metadata) : null
+      metadata: post.metadata ? (typeof post.metadata === 'string' ? JSON.parse(post.metadata) : post.metadata) : null,
+      documents,
+      reviews
     };
 
     res.json({
@@ -180,11 +349,93 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Validate a reviewer verdict from a request
+ * @param {Object} source - { reviewer, is_interesting, note, content_pillar }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateReview({ reviewer, is_interesting, note, content_pillar }) {
+  if (typeof reviewer !== 'string' || !reviewer.trim()) {
+    return 'reviewer is required (body field or X-Reviewer header)';
+  }
+  if (typeof is_interesting !== 'boolean') {
+    return 'is_interesting must be true or false';
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return 'note must be a string';
+  }
+  if (content_pillar !== undefined && content_pillar !== null && !normalizePillar(content_pillar)) {
+    return `Unknown content_pillar "${content_pillar}"`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/posts/:id/reviews
+ * Record a reviewer's verdict. The model's is_interesting is kept; the post's
+ * reviewed_is_interesting / reviewed_by / reviewed_at follow the latest review.
+ *
+ * Body: is_interesting (boolean), reviewer (string, or X-Reviewer header), note (string, optional),
+ * content_pillar (string, optional: the pillar the reviewer would assign, used by evaluations)
+ */
+router.post('/:id/reviews', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    if (isNaN(postId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID',
+        message: 'Post ID must be a valid number'
+      });
+    }
+
+    const reviewer = req.body.reviewer ?? req.get('X-Reviewer');
+    const { is_interesting, note, content_pillar } = req.body;
+    const invalid = validateReview({ reviewer, is_interesting, note, content_pillar });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review',
+        message: invalid
+      });
+    }
+
+    const review = await createReview(postId, {
+      reviewer: reviewer.trim(),
+      is_interesting,
+      note: note || null,
+      content_pillar: content_pillar ? normalizePillar(content_pillar) : null
+    });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+        message: `Post with ID ${postId} does not exist`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Error recording review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record review',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/posts/:id
- * Update a post by ID — only is_interesting and metadata (uses updatePostClassification).
+ * Update a post by ID. metadata is merged into the existing metadata; an
+ * is_interesting value is recorded as a review (as POST /api/posts/:id/reviews)
+ * rather than overwriting the model's verdict.
  *
- * Body: is_interesting (boolean|null), metadata (object, merged with existing)
+ * Body: metadata (object), is_interesting (boolean), reviewer (string, or X-Reviewer header; required with is_interesting),
+ * note (string), content_pillar (string)
  */
 router.put('/:id', async (req, res) => {
   try {
@@ -197,7 +448,19 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const { is_interesting, metadata } = req.body;
+    const { is_interesting, metadata, note, content_pillar } = req.body;
+    const reviewer = req.body.reviewer ?? req.get('X-Reviewer');
+    if (is_interesting !== undefined) {
+      const invalid = validateReview({ reviewer, is_interesting, note, content_pillar });
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid review',
+          message: invalid
+        });
+      }
+    }
+
     const existing = await getPostById(postId);
     if (!existing) {
       return res.status(404).json({
@@ -207,11 +470,19 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const isInteresting = is_interesting !== undefined ? is_interesting : existing.is_interesting;
-    const metadataToMerge = metadata && typeof metadata === 'object' ? metadata : existing.metadata;
-
-    const updated = await updatePostClassification(postId, isInteresting, metadataToMerge);
+    if (metadata && typeof metadata === 'object') {
+      await updatePostClassification(postId, existing.is_interesting, metadata);
+    }
+    if (is_interesting !== undefined) {
+      await createReview(postId, {
+        reviewer: reviewer.trim(),
+        is_interesting,
+        note: note || null,
+        content_pillar: content_pillar ? normalizePillar(content_pillar) : null
+      });
+    }
 
+    const updated = await getPostById(postId);
     if (!updated) {
       return res.status(404).json({
         success: false,
@@ -0,0 +1,255 @@
+import express from 'express';
+import {
+  getPromptTemplates,
+  getPromptTemplateById,
+  createPromptTemplate,
+  setPromptTemplateStatus,
+  getPromptVersionStats
+} from '../models/promptTemplate.js';
+import { PROMPT_TASKS, REQUIRED_PLACEHOLDERS, getBuiltInPrompt } from '../services/prompts.js';
+import { GENERATION_PARAMS } from '../services/llm/index.js';
+
+const router = express.Router();
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Send a 400 response
+ */
+function badRequest(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request',
+    message
+  });
+}
+
+/**
+ * Send a 404 response
+ */
+function notFound(res, message) {
+  return res.status(404).json({
+    success: false,
+    error: 'Not found',
+    message
+  });
+}
+
+/**
+ * Send a 409 for unique violations, 500 otherwise
+ */
+function handleError(res, error, action) {
+  if (error.code === UNIQUE_VIOLATION) {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: error.detail || error.message
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: `Failed ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * Validate a new template version
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTemplate(body) {
+  const { task, version, template, description, model, params } = body;
+
+  if (!PROMPT_TASKS.includes(task)) {
+    return `task must be one of: ${PROMPT_TASKS.join(', ')}`;
+  }
+  if (typeof version !== 'string' || !version.trim() || version.length > 50) {
+    return 'version must be a non-empty string of at most 50 characters';
+  }
+  if (version.trim() === getBuiltInPrompt(task).version) {
+    return `version "${version}" is the built-in ${task} prompt; choose another label`;
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'template must be a non-empty string';
+  }
+  const missing = REQUIRED_PLACEHOLDERS[task].filter(placeholder => !template.includes(placeholder));
+  if (missing.length > 0) {
+    return `template is missing placeholder(s): ${missing.join(', ')}`;
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (model !== undefined && model !== null && (typeof model !== 'string' || !model.trim())) {
+    return 'model must be a non-empty string';
+  }
+  if (params !== undefined && params !== null) {
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      return 'params must be an object';
+    }
+    const unknown = Object.keys(params).filter(key => !GENERATION_PARAMS.includes(key));
+    if (unknown.length > 0) {
+      return `Unknown param(s): ${unknown.join(', ')} (allowed: ${GENERATION_PARAMS.join(', ')})`;
+    }
+    const nonNumeric = Object.keys(params).filter(key => typeof params[key] !== 'number');
+    if (nonNumeric.length > 0) {
+      return `params must be numbers: ${nonNumeric.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/prompts
+ * List stored prompt versions, plus the built-in prompt of each task
+ *
+ * Query parameters:
+ * - task: string ('classify' or 'transform')
+ * - status: string ('active', 'candidate' or 'inactive')
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { task, status } = req.query;
+    const templates = await getPromptTemplates({ task: task || undefined, status: status || undefined });
+
+    res.json({
+      success: true,
+      data: templates,
+      built_in: Object.fromEntries(
+        PROMPT_TASKS.map(name => [name, { version: getBuiltInPrompt(name).version }])
+      )
+    });
+  } catch (error) {
+    handleError(res, error, 'to fetch prompt templates');
+  }
+});
+
+/**
+ * GET /api/prompts/stats?task=classify
+ * Outcomes per prompt version, for comparing an A/B candidate with the active prompt
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const task = req.query.task || 'classify';
+    if (!PROMPT_TASKS.includes(task)) {
+      return badRequest(res, `task must be one of: ${PROMPT_TASKS.join(', ')}`);
+    }
+
+    const [stats, live] = await Promise.all([
+      getPromptVersionStats(task),
+      getPromptTemplates({ task })
+    ]);
+    const statusByVersion = new Map(live.map(template => [template.version, template]));
+
+    res.json({
+      success: true,
+      data: stats.map(row => ({
+        ...row,
+        status: statusByVersion.get(row.version)?.status
+          || (row.version === getBuiltInPrompt(task).version ? 'built_in' : null),
+        candidate_percent: statusByVersion.get(row.version)?.candidate_percent ?? null
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'to fetch prompt stats');
+  }
+});
+
+/**
+ * GET /api/prompts/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return badRequest(res, 'Prompt template ID must be a valid number');
+
+    const template = await getPromptTemplateById(id);
+    if (!template) return notFound(res, `Prompt template with ID ${id} does not exist`);
+
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'to fetch prompt template');
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Store a new prompt version (inactive). Versions are immutable; change a
+ * prompt by adding a new version.
+ *
+ * Body: task, version, template, description, model (overrides the task's model),
+ * params ({ temperature, top_p, max_tokens, seed })
+ */
+router.post('/', async (req, res) => {
+  try {
+    const invalid = validateTemplate(req.body || {});
+    if (invalid) return badRequest(res, invalid);
+
+    const { task, version, template, description, model, params } = req.body;
+    const created = await createPromptTemplate({
+      task,
+      version: version.trim(),
+      template,
+      description: description || null,
+      model: model ? model.trim() : null,
+      params: params || {}
+    });
+
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    handleError(res, error, 'to create prompt template');
+  }
+});
+
+/**
+ * Set a template's status and send the updated template
+ * @param {Object} req - Express request (template ID in params)
+ * @param {Object} res - Express response
+ * @param {string} status - 'active' | 'candidate' | 'inactive'
+ * @param {number} [percent] - Candidate share of posts
+ */
+async function updateStatus(req, res, status, percent) {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return badRequest(res, 'Prompt template ID must be a valid number');
+
+    const updated = await setPromptTemplateStatus(id, status, percent);
+    if (!updated) return notFound(res, `Prompt template with ID ${id} does not exist`);
+
+    console.log(`📝 ${updated.task} prompt ${updated.version} is now ${status}${status === 'candidate' ? ` (${percent}% of posts)` : ''}`);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    handleError(res, error, 'to update prompt template');
+  }
+}
+
+/**
+ * POST /api/prompts/:id/activate
+ * Make this version the task's active prompt (the previous one becomes inactive)
+ */
+router.post('/:id/activate', (req, res) => updateStatus(req, res, 'active'));
+
+/**
+ * POST /api/prompts/:id/candidate
+ * Route a share of posts to this version for A/B comparison (replaces any
+ * previous candidate). Posts are split by a stable hash of their id.
+ *
+ * Body: percent (1-100)
+ */
+router.post('/:id/candidate', (req, res) => {
+  const percent = req.body?.percent;
+  if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+    return badRequest(res, 'percent must be an integer from 1 to 100');
+  }
+  return updateStatus(req, res, 'candidate', percent);
+});
+
+/**
+ * POST /api/prompts/:id/deactivate
+ * Stop using this version (without an active version the built-in prompt is used)
+ */
+router.post('/:id/deactivate', (req, res) => updateStatus(req, res, 'inactive'));
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import { getReviewQueue, getReviewQueueCount, getReviewStats } from '../models/postReview.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/reviews/queue
+ * Classified posts no reviewer has looked at yet, least confident first.
+ * Record a verdict with POST /api/posts/:id/reviews.
+ *
+ * Query parameters:
+ * - max_confidence: number 0-1 (only posts the model was less confident about)
+ * - source: string (filter by source)
+ * - is_interesting: boolean (filter by the model's verdict)
+ * - limit: number (default: 50)
+ * - offset: number (default: 0)
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const { max_confidence, source, is_interesting, limit = 50, offset = 0 } = req.query;
+
+    let maxConfidence = undefined;
+    if (max_confidence !== undefined && max_confidence !== '') {
+      maxConfidence = Number(max_confidence);
+      if (!Number.isFinite(maxConfidence) || maxConfidence < 0 || maxConfidence > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          message: 'max_confidence must be a number between 0 and 1'
+        });
+      }
+    }
+
+    const limitInt = parseInt(limit) || 50;
+    const offsetInt = parseInt(offset) || 0;
+
+    const filters = {
+      max_confidence: maxConfidence,
+      source: source || undefined,
+      is_interesting: is_interesting === 'true' ? true : is_interesting === 'false' ? false : undefined,
+      limit: limitInt,
+      offset: offsetInt
+    };
+
+    const [posts, totalCount] = await Promise.all([
+      getReviewQueue(filters),
+      getReviewQueueCount(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: posts,
+      pagination: {
+        total: totalCount,
+        limit: limitInt,
+        offset: offsetInt,
+        hasMore: offsetInt + limitInt < totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/reviews/stats
+ * Agreement between the model's verdicts and reviewers', overall (latest
+ * review per post) and per reviewer
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await getReviewStats();
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching review stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review stats',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,341 @@
+import express from 'express';
+import {
+  getSources,
+  getSourceById,
+  createSource,
+  updateSource,
+  deleteSource,
+  createListing,
+  updateListing,
+  deleteListing
+} from '../models/source.js';
+import { getAdapterNames } from '../services/sources/index.js';
+
+const router = express.Router();
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validate a source body. Returns an error message or null.
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing required fields are allowed (PUT)
+ * @returns {string|null}
+ */
+function validateSource(body, partial) {
+  const { name, adapter, enabled, config } = body;
+
+  if (!partial && (!name || !adapter)) {
+    return 'name and adapter are required';
+  }
+  if (name !== undefined && (typeof name !== 'string' || !/^[a-z0-9_-]{1,100}$/.test(name))) {
+    return 'name must be 1-100 lowercase letters, digits, "-" or "_"';
+  }
+  if (adapter !== undefined && !getAdapterNames().includes(adapter)) {
+    return `adapter must be one of: ${getAdapterNames().join(', ')}`;
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (config !== undefined && (config === null || typeof config !== 'object' || Array.isArray(config))) {
+    return 'config must be an object';
+  }
+  return null;
+}
+
+/**
+ * Validate a listing body. Returns an error message or null.
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing required fields are allowed (PUT)
+ * @returns {string|null}
+ */
+function validateListing(body, partial) {
+  const { url, enabled, category, max_articles, crawl_interval_minutes } = body;
+
+  if (!partial && !url) {
+    return 'url is required';
+  }
+  if (url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    } catch {
+      return 'url must be an absolute http(s) URL';
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (category !== undefined && category !== null && (typeof category !== 'string' || category.length > 100)) {
+    return 'category must be a string of at most 100 characters, or null';
+  }
+  for (const [key, value] of [['max_articles', max_articles], ['crawl_interval_minutes', crawl_interval_minutes]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return `${key} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an integer route parameter, or null when it is not a number
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+}
+
+/**
+ * Send a 400 response
+ */
+function badRequest(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request',
+    message
+  });
+}
+
+/**
+ * Send a 404 response
+ */
+function notFound(res, message) {
+  return res.status(404).json({
+    success: false,
+    error: 'Not found',
+    message
+  });
+}
+
+/**
+ * Send a 409 for unique violations, 500 otherwise
+ */
+function handleError(res, error, action) {
+  if (error.code === UNIQUE_VIOLATION) {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: error.detail || error.message
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: `Failed ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/sources
+ * List all sources with their listings
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sources = await getSources();
+    res.json({
+      success: true,
+      data: sources
+    });
+  } catch (error) {
+    handleError(res, error, 'to fetch sources');
+  }
+});
+
+/**
+ * POST /api/sources
+ * Create a source
+ *
+ * Body: name (string), adapter ("feed" or a code adapter name), enabled (boolean), config (object),
+ * listings (optional array of listing bodies, see POST /api/sources/:id/listings)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { listings = [], ...body } = req.body;
+
+    const error = validateSource(body, false);
+    if (error) return badRequest(res, error);
+    if (!Array.isArray(listings)) return badRequest(res, 'listings must be an array');
+    for (const listing of listings) {
+      const listingError = validateListing(listing, false);
+      if (listingError) return badRequest(res, listingError);
+    }
+
+    const source = await createSource(body);
+    try {
+      for (const listing of listings) {
+        await createListing(source.id, listing);
+      }
+    } catch (listingError) {
+      // Do not leave a half-created source behind
+      await deleteSource(source.id);
+      throw listingError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await getSourceById(source.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'to create source');
+  }
+});
+
+/**
+ * GET /api/sources/:id
+ * Get a source with its listings
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    if (sourceId === null) return badRequest(res, 'Source ID must be a valid number');
+
+    const source = await getSourceById(sourceId);
+    if (!source) return notFound(res, `Source with ID ${sourceId} does not exist`);
+
+    res.json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    handleError(res, error, 'to fetch source');
+  }
+});
+
+/**
+ * PUT /api/sources/:id
+ * Update a source — adapter, enabled, config (only provided fields change).
+ * The name cannot change: posts store it, and feed posts' source_ids are built
+ * from it, so a renamed source would re-scrape everything as new posts.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    if (sourceId === null) return badRequest(res, 'Source ID must be a valid number');
+
+    const error = validateSource(req.body, true);
+    if (error) return badRequest(res, error);
+
+    if (req.body.name !== undefined) {
+      const current = await getSourceById(sourceId);
+      if (!current) return notFound(res, `Source with ID ${sourceId} does not exist`);
+      if (req.body.name !== current.name) {
+        return badRequest(res, 'name cannot be changed; create a new source instead');
+      }
+    }
+
+    const updated = await updateSource(sourceId, req.body);
+    if (!updated) return notFound(res, `Source with ID ${sourceId} does not exist`);
+
+    res.json({
+      success: true,
+      data: await getSourceById(sourceId)
+    });
+  } catch (error) {
+    handleError(res, error, 'to update source');
+  }
+});
+
+/**
+ * DELETE /api/sources/:id
+ * Delete a source and its listings (stored posts are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    if (sourceId === null) return badRequest(res, 'Source ID must be a valid number');
+
+    const deleted = await deleteSource(sourceId);
+    if (!deleted) return notFound(res, `Source with ID ${sourceId} does not exist`);
+
+    res.json({
+      success: true,
+      message: `Source ${sourceId} deleted`
+    });
+  } catch (error) {
+    handleError(res, error, 'to delete source');
+  }
+});
+
+/**
+ * POST /api/sources/:id/listings
+ * Add a listing URL to a source
+ *
+ * Body: url (string), enabled (boolean), category (string|null, null = derived from the URL),
+ * max_articles (integer, 0 = MAX_ARTICLES_PER_URL), crawl_interval_minutes (integer, 0 = every run)
+ */
+router.post('/:id/listings', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    if (sourceId === null) return badRequest(res, 'Source ID must be a valid number');
+
+    const error = validateListing(req.body, false);
+    if (error) return badRequest(res, error);
+
+    const source = await getSourceById(sourceId);
+    if (!source) return notFound(res, `Source with ID ${sourceId} does not exist`);
+
+    const listing = await createListing(sourceId, req.body);
+    res.status(201).json({
+      success: true,
+      data: listing
+    });
+  } catch (error) {
+    handleError(res, error, 'to create listing');
+  }
+});
+
+/**
+ * PUT /api/sources/:id/listings/:listingId
+ * Update a listing — url, enabled, category, max_articles, crawl_interval_minutes
+ */
+router.put('/:id/listings/:listingId', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    const listingId = parseId(req.params.listingId);
+    if (sourceId === null || listingId === null) {
+      return badRequest(res, 'Source and listing IDs must be valid numbers');
+    }
+
+    const error = validateListing(req.body, true);
+    if (error) return badRequest(res, error);
+
+    const listing = await updateListing(sourceId, listingId, req.body);
+    if (!listing) return notFound(res, `Listing ${listingId} of source ${sourceId} does not exist`);
+
+    res.json({
+      success: true,
+      data: listing
+    });
+  } catch (error) {
+    handleError(res, error, 'to update listing');
+  }
+});
+
+/**
+ * DELETE /api/sources/:id/listings/:listingId
+ * Remove a listing from a source
+ */
+router.delete('/:id/listings/:listingId', async (req, res) => {
+  try {
+    const sourceId = parseId(req.params.id);
+    const listingId = parseId(req.params.listingId);
+    if (sourceId === null || listingId === null) {
+      return badRequest(res, 'Source and listing IDs must be valid numbers');
+    }
+
+    const deleted = await deleteListing(sourceId, listingId);
+    if (!deleted) return notFound(res, `Listing ${listingId} of source ${sourceId} does not exist`);
+
+    res.json({
+      success: true,
+      message: `Listing ${listingId} deleted`
+    });
+  } catch (error) {
+    handleError(res, error, 'to delete listing');
+  }
+});
+
+export default router;
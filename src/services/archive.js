@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../../data/archive');
+
+// How many past fetches of one URL to remember in its index entry
+const MAX_HISTORY = 20;
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} value
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Path of a content-addressed object: objects/ab/abcdef....gz
+ * @param {string} hash
+ * @returns {string}
+ */
+function objectPath(hash) {
+  return path.join(ARCHIVE_DIR, 'objects', hash.slice(0, 2), `${hash}.gz`);
+}
+
+/**
+ * Path of the index entry for a URL
+ * @param {string} url
+ * @returns {string}
+ */
+function indexPath(url) {
+  return path.join(ARCHIVE_DIR, 'urls', `${sha256(url)}.json`);
+}
+
+/**
+ * Read the index entry for a URL
+ * @param {string} url
+ * @returns {Promise<{url: string, latest: string, kind: string, fetched_at: string, history: Array<Object>}|null>}
+ */
+export async function getArchiveEntry(url) {
+  try {
+    return JSON.parse(await fs.readFile(indexPath(url), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Read every URL index entry, e.g. to replay all archived article pages
+ * @param {string} [kind] - Only entries of this kind ('listing' | 'article')
+ * @returns {Promise<Array<Object>>} Index entries (see getArchiveEntry), oldest fetch first
+ */
+export async function listArchiveEntries(kind) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(ARCHIVE_DIR, 'urls'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const entry = JSON.parse(await fs.readFile(path.join(ARCHIVE_DIR, 'urls', file), 'utf8'));
+    if (!kind || entry.kind === kind) entries.push(entry);
+  }
+  return entries.sort((a, b) => String(a.fetched_at).localeCompare(String(b.fetched_at)));
+}
+
+/**
+ * Store a fetched page. The body is gzipped and stored once per distinct
+ * content; the URL index points at the latest version and keeps a short history.
+ *
+ * @param {string} url - URL the page was fetched from
+ * @param {string} body - Raw response body
+ * @param {Object} [info] - Extra fields for the index entry (e.g. kind: 'listing' | 'article')
+ * @returns {Promise<string>} Content hash of the stored body
+ */
+export async function archivePage(url, body, info = {}) {
+  const hash = sha256(body);
+  const file = objectPath(hash);
+
+  try {
+    await fs.access(file);
+  } catch {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, await gzip(body));
+  }
+
+  const fetchedAt = new Date().toISOString();
+  const previous = await getArchiveEntry(url);
+  const history = previous ? previous.history : [];
+  if (!previous || previous.latest !== hash) {
+    history.unshift({ hash, fetched_at: fetchedAt });
+  }
+
+  const entry = {
+    ...(previous || {}),
+    ...info,
+    url,
+    latest: hash,
+    fetched_at: fetchedAt,
+    history: history.slice(0, MAX_HISTORY)
+  };
+
+  await fs.mkdir(path.dirname(indexPath(url)), { recursive: true });
+  await fs.writeFile(indexPath(url), JSON.stringify(entry, null, 2));
+
+  return hash;
+}
+
+/**
+ * Read an archived body by content hash
+ * @param {string} hash
+ * @returns {Promise<string|null>} Body or null if not archived
+ */
+export async function readArchiveObject(hash) {
+  try {
+    return (await gunzip(await fs.readFile(objectPath(hash)))).toString('utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Read the latest archived body for a URL
+ * @param {string} url
+ * @returns {Promise<{body: string, hash: string}|null>} Body and hash, or null if the URL was never archived
+ */
+export async function readArchivedPage(url) {
+  const entry = await getArchiveEntry(url);
+  if (!entry) return null;
+
+  const body = await readArchiveObject(entry.latest);
+  return body === null ? null : { body, hash: entry.latest };
+}
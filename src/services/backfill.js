@@ -0,0 +1,207 @@
+import { runStage, JOB_STAGES } from './pipeline.js';
+import { countPostsForBackfill, getPostsForBackfill, getPostById } from '../models/post.js';
+import { lockPostJobs } from '../models/pipelineJob.js';
+import {
+  createJobRun,
+  finishJobRun,
+  updateJobRunProgress,
+  getRunningJobRun,
+  failInterruptedJobRuns,
+  acquireJobRunLock,
+  JobAlreadyRunningError
+} from '../models/jobRun.js';
+import { startProgress, reportProgress, finishProgress } from './jobProgress.js';
+
+const BACKFILL_TRIGGERS = ['backfill'];
+const CLASSIFICATION_STATES = ['interesting', 'not_interesting', 'unclassified', 'failed'];
+const QA_STATES = ['ok', 'flagged', 'fallback', 'untransformed'];
+const DEFAULT_BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE || '20');
+const DEFAULT_DELAY_MS = parseInt(process.env.BACKFILL_DELAY_MS || '500');
+
+/**
+ * Thrown for invalid backfill options
+ */
+export class BackfillOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackfillOptionsError';
+  }
+}
+
+/**
+ * Validate and normalize backfill options (from the API body or the CLI)
+ * @param {Object} input
+ * @param {Object} [input.filter] - { ids, source, from, to, classification, qa }
+ * @param {Array<string>} input.stages - Stages to redo: embed, transform, classify
+ * @param {number} [input.batch_size] - Posts per batch (default: BACKFILL_BATCH_SIZE or 20)
+ * @param {number} [input.delay_ms] - Pause after each post (default: BACKFILL_DELAY_MS or 500)
+ * @returns {{ filter: Object, stages: Array<string>, batch_size: number, delay_ms: number }}
+ * @throws {BackfillOptionsError}
+ */
+export function parseBackfillOptions(input = {}) {
+  const { filter = {}, stages, batch_size = DEFAULT_BATCH_SIZE, delay_ms = DEFAULT_DELAY_MS } = input;
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new BackfillOptionsError(`stages must be a non-empty array of: ${JOB_STAGES.join(', ')}`);
+  }
+  const unknown = stages.filter(stage => !JOB_STAGES.includes(stage));
+  if (unknown.length > 0) {
+    throw new BackfillOptionsError(`Unknown stage(s): ${unknown.join(', ')}`);
+  }
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new BackfillOptionsError('filter must be an object');
+  }
+
+  const { ids, source, from, to, classification, qa } = filter;
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+    throw new BackfillOptionsError('filter.ids must be an array of post IDs');
+  }
+  if (source !== undefined && typeof source !== 'string') {
+    throw new BackfillOptionsError('filter.source must be a string');
+  }
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      throw new BackfillOptionsError(`filter.${key} must be a date (e.g. 2025-01-31)`);
+    }
+  }
+  if (classification !== undefined && !CLASSIFICATION_STATES.includes(classification)) {
+    throw new BackfillOptionsError(`filter.classification must be one of: ${CLASSIFICATION_STATES.join(', ')}`);
+  }
+  if (qa !== undefined && !QA_STATES.includes(qa)) {
+    throw new BackfillOptionsError(`filter.qa must be one of: ${QA_STATES.join(', ')}`);
+  }
+  if (!Number.isInteger(batch_size) || batch_size < 1) {
+    throw new BackfillOptionsError('batch_size must be a positive integer');
+  }
+  if (!Number.isInteger(delay_ms) || delay_ms < 0) {
+    throw new BackfillOptionsError('delay_ms must be a non-negative integer');
+  }
+
+  return {
+    filter: {
+      ids,
+      source,
+      from: from ? new Date(from).toISOString() : undefined,
+      to: to ? new Date(to).toISOString() : undefined,
+      classification,
+      qa
+    },
+    // Always run in pipeline order, whatever order they were given in
+    stages: JOB_STAGES.filter(stage => stages.includes(stage)),
+    batch_size,
+    delay_ms
+  };
+}
+
+/**
+ * Dry run: how many posts a backfill with this filter would touch
+ * @param {Object} options - Parsed options (see parseBackfillOptions)
+ * @returns {Promise<number>}
+ */
+export async function countBackfill(options) {
+  return countPostsForBackfill(options.filter);
+}
+
+/**
+ * Redo the requested stages for every matching post, in throttled batches.
+ * Pipeline workers are kept off a post while its stages run; a post a worker
+ * is busy with is skipped (counted in `skipped`), since both would write the
+ * same columns.
+ * @param {Object} run - job_runs row for this backfill
+ * @param {Object} options - Parsed options (see parseBackfillOptions)
+ * @returns {Promise<Object>} The finished job run
+ */
+async function runBackfill(run, options) {
+  const { filter, stages, batch_size: batchSize, delay_ms: delayMs } = options;
+  const counts = { matched: 0, processed: 0, embedded: 0, transformed: 0, classified: 0, failed: 0, skipped: 0 };
+  const reachedByStage = { embed: 'embedded', transform: 'transformed', classify: 'classified' };
+
+  startProgress(run.id, counts);
+  console.log(`\n🔁 Starting backfill (run ${run.id}): stages ${stages.join(', ')}`);
+
+  try {
+    counts.matched = await countPostsForBackfill(filter);
+    reportProgress(run.id, 'phase', { phase: 'backfill', matched: counts.matched });
+    console.log(`   📋 ${counts.matched} post(s) match`);
+
+    let lastId = 0;
+    while (true) {
+      const batch = await getPostsForBackfill(filter, lastId, batchSize);
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1].id;
+
+      for (let post of batch) {
+        const release = await lockPostJobs(post.id);
+        if (!release) {
+          counts.skipped++;
+          console.log(`   ⏭️ Post ${post.id} is being processed by the pipeline, skipping`);
+          reportProgress(run.id, 'article', { post_id: post.id, title: post.title, outcome: 'skipped' });
+          continue;
+        }
+
+        try {
+          for (const stage of stages) {
+            try {
+              await runStage(stage, post);
+              counts[reachedByStage[stage]]++;
+              reportProgress(run.id, 'article', { post_id: post.id, title: post.title, stage, outcome: 'done' });
+              // Later stages see what this one stored
+              post = (await getPostById(post.id)) || post;
+            } catch (error) {
+              counts.failed++;
+              console.error(`   ❌ ${stage} failed for post ${post.id}: ${error.message}`);
+              reportProgress(run.id, 'article', { post_id: post.id, title: post.title, stage, outcome: 'failed', error: error.message });
+            }
+          }
+        } finally {
+          await release();
+        }
+        counts.processed++;
+
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+
+      console.log(`   ✅ ${counts.processed}/${counts.matched} posts processed`);
+      await updateJobRunProgress(run.id, counts, []);
+    }
+
+    console.log(`✅ Backfill ${run.id} finished: ${counts.processed} posts, ${counts.failed} failure(s)\n`);
+    const finished = await finishJobRun(run.id, { status: 'succeeded', counts, listings: [] });
+    finishProgress(run.id, finished);
+    return finished;
+  } catch (error) {
+    console.error('❌ Backfill failed with error:', error);
+    const finished = await finishJobRun(run.id, { status: 'failed', counts, listings: [], error: error.message })
+      .catch(recordError => console.error('❌ Could not record backfill run:', recordError.message));
+    finishProgress(run.id, finished);
+    throw error;
+  }
+}
+
+/**
+ * Start a backfill unless one is already in progress. Resolves as soon as the
+ * run is recorded (job_runs, trigger 'backfill'); the work continues in the background.
+ * @param {Object} options - Parsed options (see parseBackfillOptions)
+ * @returns {Promise<{run: Object, done: Promise<Object>}>} The new run and a promise for its outcome
+ * @throws {JobAlreadyRunningError} When another backfill is running
+ */
+export async function startBackfill(options) {
+  const release = await acquireJobRunLock('pps_backend_backfill');
+  if (!release) {
+    throw new JobAlreadyRunningError(await getRunningJobRun(BACKFILL_TRIGGERS));
+  }
+
+  let run;
+  try {
+    await failInterruptedJobRuns(BACKFILL_TRIGGERS);
+    run = await createJobRun('backfill', options);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  const done = runBackfill(run, options).finally(release);
+  done.catch(() => {});
+
+  return { run, done };
+}
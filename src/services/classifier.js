@@ -1,146 +1,140 @@
-// NOTE: OpenAI-based classifier implementation is commented out because
-// the OpenAI API quota has been exceeded for this project.
-// import openai, { LLM_MODEL } from '../config/llm.js';
-import ollama from 'ollama';
-import { formatClassificationPrompt } from '../utils/promptRefiner.js';
+import { chat } from './llm/index.js';
+import { formatClassificationPrompt, CLASSIFY_CONTENT_MAX_CHARS } from '../utils/promptRefiner.js';
+import { validateClassification } from '../utils/classificationSchema.js';
+import { getFewShotExamples } from './fewShot.js';
+import { resolvePrompt } from './prompts.js';
+import { fitContentToBudget } from './longContent.js';
 
-// ---------------------------------------------------------------------------
-// OpenAI classifier implementation (deprecated in this project)
-// ---------------------------------------------------------------------------
-/*
-export async function classifyArticle(article) {
-  try {
-    const prompt = formatClassificationPrompt(article);
-
-    const response = await openai.chat.completions.create({
-      model: LLM_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a content classifier for any news articles. Always respond with valid JSON only, no additional text.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 500,
-      response_format: { type: 'json_object' }
-    });
+// Follow-up prompts sent after an invalid response before giving up
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.CLASSIFY_MAX_REPAIRS || '2');
 
-    const content = response.choices[0]?.message?.content;
-    if (!content) {
-      throw new Error('No response content from LLM');
-    }
+const SYSTEM_PROMPT =
+  'You are a content classifier for public policy-related news articles. Always respond with valid JSON only, no additional text.';
 
-    // Parse JSON response
-    let classificationResult;
-    try {
-      classificationResult = JSON.parse(content);
-    } catch (parseError) {
-      // Try to extract JSON from response if it's wrapped in markdown
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        classificationResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Could not parse LLM response as JSON');
-      }
-    }
+/**
+ * Thrown when an article cannot be classified. `code` is stored in
+ * posts.classification_status:
+ * - 'llm_error': the model call failed
+ * - 'invalid_output': the response did not match the schema after all repair attempts
+ */
+export class ClassificationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ClassificationError';
+    this.code = code;
+  }
+}
 
-    return {
-      is_interesting: classificationResult.is_interesting === true || classificationResult.is_interesting === 'true',
-      reasoning: classificationResult.reasoning || null,
-      content_pillar: classificationResult.content_pillar || null,
-      policy_anchor: classificationResult.policy_anchor || null
-    };
+/**
+ * Parse a model response as JSON
+ * @param {string} content - Response text
+ * @returns {{ parsed: *, error: string|null }}
+ */
+function parseResponse(content) {
+  try {
+    return { parsed: JSON.parse(content), error: null };
   } catch (error) {
-    console.error('Error classifying article:', error.message);
-    // Return null to indicate classification failed
-    return {
-      is_interesting: null,
-      reasoning: `Classification failed: ${error.message}`,
-      content_pillar: null,
-      policy_anchor: null
-    };
+    return { parsed: null, error: `response is not valid JSON (${error.message})` };
   }
 }
-*/
-
-// ---------------------------------------------------------------------------
-// Ollama-based classifier implementation (current)
-// Uses local Ollama with the "gemma3" model by default.
-// ---------------------------------------------------------------------------
 
 /**
- * Classify an article as interesting or not using Ollama (gemma3)
- * @param {Object} article - Article object with title, content, url
- * @returns {Promise<{is_interesting: boolean|null, reasoning: string|null, content_pillar: string|null, policy_anchor: string|null}>}
+ * Classify an article as interesting or not with the LLM configured for the
+ * "classify" task (see config/llm.js). The most similar reviewed posts are
+ * included in the prompt as few-shot examples (see services/fewShot.js). The
+ * response is validated against the classification schema; an invalid
+ * response gets up to CLASSIFY_MAX_REPAIRS follow-up prompts listing what was wrong.
+ * The prompt template, and any model or parameters it sets, come from the
+ * active or A/B candidate prompt version (see services/prompts.js). Articles
+ * longer than CLASSIFY_CONTENT_MAX_CHARS are condensed chunk by chunk first,
+ * so the whole article is judged rather than its first paragraphs.
+ * @param {Object} article - Article object with title, content, url, and optionally id (prompt
+ *   A/B routing, example retrieval) and embedding (posts.embedding_v2)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model to use instead of the configured one (evaluations)
+ * @param {string} [options.prompt_version] - Prompt version to use instead of the active one (evaluations)
+ * @param {number} [options.examples] - Number of few-shot examples (default: CLASSIFY_FEW_SHOT_EXAMPLES)
+ * @returns {Promise<{is_interesting: boolean, confidence: number, reasoning: string, content_pillars: Array<string>, content_pillar: string|null, impact_dimensions: Array<string>, source_credibility: string, policy_anchor: string|null, model: string, prompt_version: string, prompt_variant: string, params: Object, example_ids: Array<number>, condensed_chunks: number, repair_attempts: number}>}
+ *   See utils/classificationSchema.js for the allowed values; condensed_chunks is 0 when the article fit
+ * @throws {ClassificationError}
  */
-export async function classifyArticle(article) {
-  try {
-    const prompt = formatClassificationPrompt(article);
+export async function classifyArticle(article, options = {}) {
+  const template = await resolvePrompt('classify', { postId: article.id, version: options.prompt_version });
 
-    const model = process.env.LLM_MODEL || 'gemma3';
+  // Examples only help; without them the article is classified zero-shot. A template
+  // without {examples} is always zero-shot, so none are retrieved (or recorded)
+  let examples = [];
+  if (template.template.includes('{examples}')) {
+    try {
+      examples = await getFewShotExamples(article, options.examples);
+    } catch (error) {
+      console.warn(`   ⚠️ Few-shot examples unavailable, classifying zero-shot: ${error.message}`);
+    }
+  }
 
-    const response = await ollama.chat({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content:
-            'You are a content classifier for public policy-related news articles. Always respond with valid JSON only, no additional text.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      // Ask Ollama to format the response as JSON
-      format: 'json',
-    });
+  let fitted;
+  try {
+    fitted = await fitContentToBudget(article, CLASSIFY_CONTENT_MAX_CHARS);
+  } catch (error) {
+    console.error('Error condensing article for classification:', error.message);
+    throw new ClassificationError('llm_error', error.message);
+  }
 
-    const content = response?.message?.content;
-    if (!content) {
-      throw new Error('No response content from Ollama');
-    }
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: formatClassificationPrompt({ ...article, content: fitted.content }, examples, template.template) }
+  ];
 
-    // Parse JSON response
-    let classificationResult;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let response;
     try {
-      classificationResult = JSON.parse(content);
-    } catch (parseError) {
-      // Try to extract JSON from response if it's wrapped in markdown or text
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        classificationResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Could not parse Ollama response as JSON');
-      }
+      response = await chat('classify', messages, {
+        json: true,
+        model: options.model || template.model || undefined,
+        params: template.params
+      });
+    } catch (error) {
+      console.error('Error classifying article:', error.message);
+      throw new ClassificationError('llm_error', error.message);
     }
 
-    return {
-      is_interesting: classificationResult.is_interesting === true || classificationResult.is_interesting === 'true',
-      reasoning: classificationResult.reasoning || null,
-      content_pillar: classificationResult.content_pillar || null,
-      policy_anchor: classificationResult.policy_anchor || null,
-    };
-  } catch (error) {
-    console.error('Error classifying article with Ollama:', error.message);
-    // Return null to indicate classification failed
-    return {
-      is_interesting: null,
-      reasoning: `Classification failed: ${error.message}`,
-      content_pillar: null,
-      policy_anchor: null,
-    };
+    const content = (response.content || '').trim();
+    const { parsed, error: parseError } = parseResponse(content);
+    const result = parseError ? { value: null, errors: [parseError] } : validateClassification(parsed);
+
+    if (result.value) {
+      return {
+        ...result.value,
+        model: response.model,
+        prompt_version: template.version,
+        prompt_variant: template.variant,
+        params: template.params,
+        example_ids: examples.map(example => example.id),
+        condensed_chunks: fitted.chunks,
+        repair_attempts: attempt
+      };
+    }
+
+    errors = result.errors;
+    console.log(`   ⚠️ Invalid classification (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}): ${errors.join('; ')}`);
+
+    messages.push(
+      { role: 'assistant', content: content || '(empty response)' },
+      {
+        role: 'user',
+        content: `Your response was invalid:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the JSON object in the required format.`
+      }
+    );
   }
+
+  throw new ClassificationError('invalid_output', `Invalid classification after ${MAX_REPAIR_ATTEMPTS + 1} attempts: ${errors.join('; ')}`);
 }
 
 /**
  * Classify multiple articles in batch
  * @param {Array<Object>} articles - Array of article objects
- * @returns {Promise<Array<Object>>} Array of classification results
+ * @returns {Promise<Array<Object>>} Articles with `classification` (or `classification_error`)
  */
 export async function classifyArticlesBatch(articles) {
   const results = [];
@@ -158,12 +152,8 @@ export async function classifyArticlesBatch(articles) {
       console.error(`Error classifying article ${article.title}:`, error.message);
       results.push({
         ...article,
-        classification: {
-          is_interesting: null,
-          reasoning: `Classification failed: ${error.message}`,
-          content_pillar: null,
-          policy_anchor: null
-        }
+        classification: null,
+        classification_error: { code: error.code || 'llm_error', message: error.message }
       });
     }
   }
@@ -1,44 +1,160 @@
-import ollama from 'ollama';
-import { formatContentToQAPrompt } from '../utils/contentToQAPrompt.js';
+import { chat } from './llm/index.js';
+import { formatContentToQAPrompt, formatMissingFactsPrompt, EXPLAINER_FORMAT } from '../utils/contentToQAPrompt.js';
+import { validateExplainer, renderExplainerMarkdown } from '../utils/explainerSchema.js';
+import { checkFactCoverage } from '../utils/factExtractor.js';
+import { resolvePrompt } from './prompts.js';
+import { fitContentToBudget } from './longContent.js';
 
-const DEFAULT_MODEL = process.env.OLLAMA_CONTENT_TRANSFORMER_MODEL || process.env.OLLAMA_CLASSIFIER_MODEL || 'gemma3';
+// Article text sent for the Q&A rewrite; longer articles are condensed chunk by chunk to fit the model context
+const TRANSFORM_CONTENT_MAX_CHARS = parseInt(process.env.TRANSFORM_CONTENT_MAX_CHARS || '12000');
+
+// Share of the article's facts (numbers, amounts, dates, schemes) an explainer must keep
+const QA_MIN_FACT_COVERAGE = parseFloat(process.env.QA_MIN_FACT_COVERAGE || '0.9');
+
+// Rewrites asked for when an explainer drops facts, before it is flagged
+const QA_FACT_RETRIES = parseInt(process.env.QA_FACT_RETRIES || '1');
+
+// Follow-up prompts sent after a response that does not match the explainer schema
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.TRANSFORM_MAX_REPAIRS || '2');
+
+const SYSTEM_PROMPT =
+  `You are an expert at turning complex articles and reports into clear, public-facing Q&A explainers. Do not add any preamble, meta-commentary, or "Here is the converted content" style text.\n\n${EXPLAINER_FORMAT}`;
+
+/**
+ * Higher coverage is better; null (no facts to check) beats everything
+ */
+function coverageRank(check) {
+  return check.coverage === null ? Infinity : check.coverage;
+}
+
+/**
+ * Ask the model for the explainer and validate it against the explainer
+ * schema; an invalid response gets up to TRANSFORM_MAX_REPAIRS follow-up
+ * prompts listing what was wrong. The repair turns are appended to messages.
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far (ends with a user message)
+ * @param {Object} template - Resolved prompt (model and params)
+ * @returns {Promise<{explainer: Object, raw: string, model: string}>} The validated explainer and the response it came from
+ * @throws {Error} When the model call fails or no valid explainer came back
+ */
+async function requestExplainer(messages, template) {
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const response = await chat('transform', messages, {
+      json: true,
+      model: template.model || undefined,
+      params: template.params
+    });
+
+    const raw = (response.content || '').trim();
+    let result;
+    try {
+      result = validateExplainer(JSON.parse(raw));
+    } catch (error) {
+      result = { value: null, errors: [`response is not valid JSON (${error.message})`] };
+    }
+    if (result.value) return { explainer: result.value, raw, model: response.model };
+
+    errors = result.errors;
+    console.log(`   ⚠️ Invalid Q&A explainer (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}): ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: raw || '(empty response)' },
+      {
+        role: 'user',
+        content: `Your response was invalid:\n- ${errors.join('\n- ')}\n\nRespond again with ONLY the JSON object in the required format.`
+      }
+    );
+  }
+
+  throw new Error(`Invalid Q&A explainer after ${MAX_REPAIR_ATTEMPTS + 1} attempts: ${errors.join('; ')}`);
+}
 
 /**
  * Transform raw article/post content into a public-facing Q&A / tabular explainer format using the LLM.
  * Ensures one post is fully processed before returning.
  *
- * @param {Object} post - Post object with { title, content, url }
- * @returns {Promise<string>} Transformed Q&A explainer content (to be stored in post.content)
+ * @param {Object} post - Post object with { id, title, content, url } (raw content) and optional linked documents;
+ *   the id routes the post to the active or A/B candidate prompt
+ * @param {Object} [options]
+ * @param {string} [options.prompt_version] - Prompt version to use instead of the active one
+ * @returns {Promise<{content: string, structured: Object, model: string, prompt_version: string, prompt_variant: string, params: Object, condensed_chunks: number, fact_check: Object}>}
+ *   The Q&A explainer as structured sections / Q&A pairs / tables / sources (stored in post.content_qa_json,
+ *   see utils/explainerSchema.js) and rendered to markdown (post.content_qa), and what produced it; condensed_chunks is the number of
+ *   chunks a long article was condensed from (0 when it fit in TRANSFORM_CONTENT_MAX_CHARS).
+ *   fact_check is { coverage, fact_count, missing, condensed_coverage, attempts, flagged }, measured against
+ *   the raw article: an explainer that keeps fewer than QA_MIN_FACT_COVERAGE of the article's facts is sent
+ *   back with the missing ones listed (QA_FACT_RETRIES times); the best attempt is returned and flagged when
+ *   it still falls short. condensed_coverage is the share of facts the condensed notes kept (null when the
+ *   article fit).
  */
-export async function transformContentToQA(post) {
-  const { title, content, url } = post;
+export async function transformContentToQA(post, options = {}) {
+  const { id, title, content, url, documents } = post;
 
   if (!content || typeof content !== 'string') {
     throw new Error('Post content is missing or invalid.');
   }
 
-  const prompt = formatContentToQAPrompt({ title, content, url });
+  const template = await resolvePrompt('transform', { postId: id, version: options.prompt_version });
+  const fitted = await fitContentToBudget({ title, content }, TRANSFORM_CONTENT_MAX_CHARS);
+  const prompt = formatContentToQAPrompt({ title, content: fitted.content, url, documents }, template.template);
 
-  const response = await ollama.chat({
-    model: DEFAULT_MODEL,
-    messages: [
-      {
-        role: 'system',
-        content:
-          'You are an expert at turning complex articles and reports into clear, public-facing Q&A explainers. Output only the finished Q&A explainer. Use markdown for tables, lists, and section headers. Do not add any preamble, meta-commentary, or "Here is the converted content" style text.',
-      },
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ],
-    stream: false,
-  });
-
-  const transformed = response?.message?.content?.trim();
-  if (!transformed) {
-    throw new Error('LLM returned empty content for Q&A transformation.');
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: prompt }
+  ];
+
+  // Facts are checked against the raw article, so facts lost while condensing a long
+  // article count as missing too; what condensation kept is measured separately
+  const condensedCheck = fitted.chunks > 0 ? checkFactCoverage(content, fitted.content) : null;
+  let best = null;
+  let attempts = 0;
+  for (let attempt = 0; attempt <= QA_FACT_RETRIES; attempt++) {
+    let response;
+    try {
+      response = await requestExplainer(messages, template);
+    } catch (error) {
+      // A failed rewrite keeps the earlier explainer
+      if (!best) throw error;
+      console.warn(`   ⚠️ Q&A rewrite for post ${id ?? '(new)'} failed, keeping the first explainer: ${error.message}`);
+      break;
+    }
+    attempts++;
+
+    const markdown = renderExplainerMarkdown(response.explainer);
+    const check = checkFactCoverage(content, markdown);
+    if (!best || coverageRank(check) > coverageRank(best.check)) {
+      best = { content: markdown, structured: response.explainer, model: response.model, check };
+    }
+    if (coverageRank(check) >= QA_MIN_FACT_COVERAGE) break;
+
+    if (attempt < QA_FACT_RETRIES) {
+      console.warn(`   ⚠️ Q&A explainer for post ${id ?? '(new)'} kept ${Math.round(check.coverage * 100)}% of ${check.fact_count} facts, asking for a rewrite`);
+      messages.push(
+        { role: 'assistant', content: response.raw },
+        { role: 'user', content: formatMissingFactsPrompt(check.missing) }
+      );
+    }
+  }
+
+  const flagged = coverageRank(best.check) < QA_MIN_FACT_COVERAGE;
+  if (flagged) {
+    console.warn(`   🚩 Q&A explainer for post ${id ?? '(new)'} still misses ${best.check.missing.length} of ${best.check.fact_count} facts; flagged for review`);
   }
 
-  return transformed;
+  return {
+    content: best.content,
+    structured: best.structured,
+    model: best.model,
+    prompt_version: template.version,
+    prompt_variant: template.variant,
+    params: template.params,
+    condensed_chunks: fitted.chunks,
+    fact_check: {
+      coverage: best.check.coverage,
+      fact_count: best.check.fact_count,
+      missing: best.check.missing,
+      condensed_coverage: condensedCheck ? condensedCheck.coverage : null,
+      attempts,
+      flagged
+    }
+  };
 }
@@ -1,148 +1,224 @@
 import cron from 'node-cron';
-import { scrapeAllMoneyControl } from './scraper.js';
-import { generatePostEmbedding } from './embedding.js';
-import { classifyArticle } from './classifier.js';
-import { transformContentToQA } from './contentTransformer.js';
-import { postExists, insertPost, updatePostClassification } from '../models/post.js';
+import { scrapeListing } from './scraper.js';
+import { buildSourceAdapter } from './sources/index.js';
+import { processPipelineJobs, startPipeline } from './pipeline.js';
+import { postExists, insertPost } from '../models/post.js';
+import { insertPostDocuments } from '../models/postDocument.js';
+import { getActiveSourceConfig } from '../models/source.js';
+import { setWatermark } from '../models/crawlWatermark.js';
+import {
+  createJobRun,
+  finishJobRun,
+  updateJobRunProgress,
+  getRunningJobRun,
+  failInterruptedJobRuns,
+  acquireJobRunLock,
+  JobAlreadyRunningError
+} from '../models/jobRun.js';
+import { startProgress, reportProgress, finishProgress } from './jobProgress.js';
+
+// Triggers of scrape + pipeline runs (backfills have their own lock)
+const SCRAPE_TRIGGERS = ['cron', 'manual'];
 
 /**
- * Main job function that orchestrates scraping, embedding, and classification
+ * Store the official documents linked from a post. Failures are logged, not
+ * thrown, so a bad document never loses the post itself.
+ * @param {number} postId - Stored post ID
+ * @param {Array<Object>} documents - Documents from the scraper
  */
-async function runScrapingAndClassificationJob() {
-  console.log('\n🚀 Starting automated scraping and classification job...');
-  const startTime = Date.now();
-
+async function storeLinkedDocuments(postId, documents) {
+  if (!documents || documents.length === 0) return;
   try {
-    // Step 1: Scrape all MoneyControl URLs
-    console.log('📰 Step 1: Scraping MoneyControl articles...');
-    const maxArticlesPerURL = parseInt(process.env.MAX_ARTICLES_PER_URL || '5');
-    const scrapedPosts = await scrapeAllMoneyControl(maxArticlesPerURL);
-    console.log(`✅ Scraped ${scrapedPosts.length} articles total`);
-
-    if (scrapedPosts.length === 0) {
-      console.log('⚠️ No articles scraped. Skipping remaining steps.');
-      return;
-    }
+    await insertPostDocuments(postId, documents);
+  } catch (error) {
+    console.error(`⚠️ Failed to store linked documents for post ${postId}:`, error.message);
+  }
+}
 
-    // Step 2: Filter out duplicates and process new posts
-    console.log('🔍 Step 2: Checking for duplicates...');
-    const newPosts = [];
-    for (const post of scrapedPosts) {
-      const exists = await postExists(post.source_id);
-      if (!exists) {
-        newPosts.push(post);
-      }
-    }
-    console.log(`✅ Found ${newPosts.length} new articles to process`);
+/**
+ * Main job function: scrape new articles, store them raw and run the staged
+ * pipeline (embed -> transform -> classify) over everything that is due,
+ * including work left over from earlier runs. Progress is reported per
+ * listing and per article, and the outcome is recorded on the job run.
+ * @param {Object} run - job_runs row for this run
+ * @returns {Promise<Object>} The finished job run
+ */
+async function runScrapingAndClassificationJob(run) {
+  console.log(`\n🚀 Starting automated scraping and classification job (run ${run.id}, ${run.trigger})...`);
+  const startTime = Date.now();
 
-    if (newPosts.length === 0) {
-      console.log('ℹ️ No new articles to process.');
-      return;
-    }
+  const counts = { scraped: 0, new: 0, stored: 0, embedded: 0, transformed: 0, classified: 0, failed: 0 };
+  const listingResults = [];
+  startProgress(run.id, counts);
 
-    // Step 3: Generate embeddings from RAW content, then transform to Q&A and store posts
-    console.log('📝 Step 3: Generating embeddings from raw content, transforming to Q&A, and storing posts...');
-    const storedPosts = [];
-    for (const post of newPosts) {
+  try {
+    // Step 1: Scrape the enabled listings that are due, as configured in the sources tables
+    console.log('📰 Step 1: Scraping articles from all sources...');
+    reportProgress(run.id, 'phase', { phase: 'scrape' });
+    const defaultMaxArticles = parseInt(process.env.MAX_ARTICLES_PER_URL || '0');
+    const sources = await getActiveSourceConfig();
+    console.log(`   📋 ${sources.length} source(s) with listings due for crawling`);
+    // One entry per crawled listing: its posts and the watermark to move to once they are stored
+    const crawled = [];
+    const onArticle = (post) => {
+      counts.scraped++;
+      reportProgress(run.id, 'article', { stage: 'scraped', source_id: post.source_id, title: post.title, url: post.url });
+    };
+
+    for (const source of sources) {
+      console.log(`   📚 Source: ${source.name}`);
+      let adapter;
       try {
-        // 3a. Generate embedding from RAW content (Ollama embeddinggemma - 768 dimensions)
-        console.log(`   🧮 Generating embedding from raw content: ${post.title.substring(0, 50)}...`);
-        const embedding_v2 = await generatePostEmbedding(post);
+        adapter = buildSourceAdapter(source, source.listings);
+      } catch (error) {
+        console.error(`   ❌ ${error.message}`);
+        for (const listing of source.listings) {
+          listingResults.push({ source: source.name, url: listing.url, found: 0, scraped: 0, errors: [{ url: listing.url, error: error.message }] });
+        }
+        continue;
+      }
 
-        // 3b. Transform raw content into Q&A / tabular explainer format (LLM completes fully before next step)
-        console.log(`   🔄 Transforming to Q&A: ${post.title.substring(0, 50)}...`);
-        let contentToStore = post.content;
+      for (const listing of source.listings) {
+        const stats = { found: 0, errors: [] };
+        let posts = [];
         try {
-          contentToStore = await transformContentToQA(post);
-          console.log(`   ✅ Q&A transform done: ${post.title.substring(0, 50)}...`);
-        } catch (transformError) {
-          console.error(`   ⚠️ Q&A transform failed, storing raw content: ${transformError.message}`);
+          const result = await scrapeListing(adapter, listing.url, listing.max_articles || defaultMaxArticles, { stats, onArticle });
+          posts = result.posts;
+          crawled.push({ source: adapter.name, url: listing.url, posts, newestSourceId: result.newestSourceId });
+        } catch (error) {
+          console.error(`Error scraping ${listing.url}:`, error.message);
+          stats.errors.push({ url: listing.url, error: error.message });
         }
+        const listingResult = { source: source.name, url: listing.url, found: stats.found, scraped: posts.length, errors: stats.errors };
+        listingResults.push(listingResult);
+        reportProgress(run.id, 'listing', listingResult);
+      }
+    }
+    console.log(`✅ Scraped ${crawled.reduce((total, listing) => total + listing.posts.length, 0)} articles total`);
+    await updateJobRunProgress(run.id, counts, listingResults);
 
-        const postWithTransformedContent = { ...post, content: contentToStore };
-
-        // 3c. Store post with TRANSFORMED content and embedding from RAW content
-        const storedPost = await insertPost({
-          ...postWithTransformedContent,
-          embedding: null,
-          embedding_v2,
-          is_interesting: null
-        });
-
-        storedPosts.push(storedPost);
-        console.log(`✅ Stored: ${post.title.substring(0, 50)}...`);
-
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.error(`❌ Error processing post ${post.title}:`, error.message);
+    // Step 2: Store new posts with their raw content (stage "scraped") and queue them.
+    // A listing's watermark only moves once all of its posts are stored, so an
+    // article that failed to store is scraped again by the next run.
+    console.log('💾 Step 2: Storing new articles and queueing them for processing...');
+    reportProgress(run.id, 'phase', { phase: 'store' });
+    for (const listing of crawled) {
+      let allStored = true;
+      for (const post of listing.posts) {
         try {
+          if (await postExists(post.source_id)) continue;
+          counts.new++;
+
           const storedPost = await insertPost({
             ...post,
             embedding: null,
             embedding_v2: null,
             is_interesting: null
           });
-          storedPosts.push(storedPost);
-        } catch (insertError) {
-          console.error(`❌ Failed to store post:`, insertError.message);
+          await storeLinkedDocuments(storedPost.id, post.documents);
+          await startPipeline(storedPost.id);
+          counts.stored++;
+          reportProgress(run.id, 'article', { stage: 'stored', post_id: storedPost.id, title: post.title });
+        } catch (error) {
+          console.error(`❌ Failed to store post ${post.title}:`, error.message);
+          counts.failed++;
+          allStored = false;
+          reportProgress(run.id, 'article', { stage: 'stored', title: post.title, error: error.message });
         }
       }
-    }
-
-    // Step 4: Classify articles
-    console.log('🤖 Step 4: Classifying articles using LLM...');
-    let classifiedCount = 0;
-    for (const post of storedPosts) {
       try {
-        const classification = await classifyArticle({
-          title: post.title,
-          content: post.content,
-          url: post.url
-        });
-
-        // Update post with classification
-        await updatePostClassification(
-          post.id,
-          classification.is_interesting,
-          {
-            reasoning: classification.reasoning,
-            content_pillar: classification.content_pillar,
-            policy_anchor: classification.policy_anchor
-          }
-        );
-
-        if (classification.is_interesting === true) {
-          classifiedCount++;
-          console.log(`✅ Classified as INTERESTING: ${post.title.substring(0, 50)}...`);
-        } else if (classification.is_interesting === false) {
-          console.log(`ℹ️ Classified as NOT INTERESTING: ${post.title.substring(0, 50)}...`);
-        } else {
-          console.log(`⚠️ Classification failed: ${post.title.substring(0, 50)}...`);
-        }
-
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await setWatermark(listing.url, listing.source, allStored ? listing.newestSourceId : null);
       } catch (error) {
-        console.error(`❌ Error classifying post ${post.id}:`, error.message);
+        console.error(`⚠️ Failed to record crawl of ${listing.url}:`, error.message);
       }
     }
+    console.log(`✅ Stored ${counts.stored} new articles`);
+    await updateJobRunProgress(run.id, counts, listingResults);
+
+    // Step 3: Embed, transform and classify everything that is due
+    console.log('🤖 Step 3: Running pipeline jobs (embed → transform → classify)...');
+    reportProgress(run.id, 'phase', { phase: 'pipeline' });
+    const reachedByStage = { embed: 'embedded', transform: 'transformed', classify: 'classified' };
+    await processPipelineJobs({
+      onJob(job, outcome) {
+        if (outcome === 'done') counts[reachedByStage[job.stage]]++;
+        else counts.failed++;
+        reportProgress(run.id, 'pipeline', { post_id: job.post_id, stage: job.stage, outcome, attempt: job.attempts });
+      }
+    });
 
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
     
-    console.log('\n📊 Job Summary:');
-    console.log(`   - Articles scraped: ${scrapedPosts.length}`);
-    console.log(`   - New articles: ${newPosts.length}`);
-    console.log(`   - Articles stored: ${storedPosts.length}`);
-    console.log(`   - Articles classified as interesting: ${classifiedCount}`);
+    console.log(`\n📊 Job Summary (run ${run.id}):`);
+    console.log(`   - Articles scraped: ${counts.scraped}`);
+    console.log(`   - New articles stored: ${counts.stored}/${counts.new}`);
+    console.log(`   - Embedded / transformed / classified: ${counts.embedded} / ${counts.transformed} / ${counts.classified}`);
+    console.log(`   - Failures: ${counts.failed}`);
     console.log(`   - Total time: ${duration}s`);
     console.log('✅ Job completed successfully!\n');
+
+    const finished = await finishJobRun(run.id, { status: 'succeeded', counts, listings: listingResults });
+    finishProgress(run.id, finished);
+    return finished;
   } catch (error) {
     console.error('❌ Job failed with error:', error);
+    const finished = await finishJobRun(run.id, { status: 'failed', counts, listings: listingResults, error: error.message })
+      .catch(recordError => console.error('❌ Could not record job run:', recordError.message));
+    finishProgress(run.id, finished);
     throw error;
   }
 }
 
+/**
+ * Start a run unless one is already in progress (in this or any other process).
+ * Resolves as soon as the run is recorded; the work continues in the background.
+ * @param {string} trigger - What started the run: 'cron' or 'manual'
+ * @returns {Promise<{run: Object, done: Promise<Object>}>} The new run and a promise for its outcome
+ * @throws {JobAlreadyRunningError} When another run holds the lock
+ */
+export async function startJob(trigger) {
+  const release = await acquireJobRunLock();
+  if (!release) {
+    throw new JobAlreadyRunningError(await getRunningJobRun(SCRAPE_TRIGGERS));
+  }
+
+  let run;
+  try {
+    // Holding the lock means nothing else is running: earlier "running" rows were cut short
+    const interrupted = await failInterruptedJobRuns(SCRAPE_TRIGGERS);
+    if (interrupted > 0) {
+      console.log(`⚠️ Marked ${interrupted} interrupted job run(s) as failed`);
+    }
+    run = await createJobRun(trigger);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  const done = runScrapingAndClassificationJob(run).finally(release);
+  // Callers that only want the run id should not see an unhandled rejection
+  done.catch(() => {});
+
+  return { run, done };
+}
+
+/**
+ * Run a scheduled job, skipping it when a run is already in progress
+ */
+async function runScheduledJob() {
+  try {
+    const { done } = await startJob('cron');
+    await done;
+  } catch (error) {
+    if (error instanceof JobAlreadyRunningError) {
+      console.log(`⏭️ Skipping scheduled run: ${error.message}`);
+      return;
+    }
+    console.error('❌ Scheduled job failed:', error.message);
+  }
+}
+
 /**
  * Start the cron job scheduler
  */
@@ -160,20 +236,33 @@ export function startCronJob() {
   // Run immediately on startup (optional - can be disabled)
   if (process.env.RUN_ON_STARTUP === 'true') {
     console.log('🚀 Running initial job on startup...');
-    runScrapingAndClassificationJob().catch(console.error);
+    runScheduledJob();
   }
 
   // Schedule recurring job
-  cron.schedule(schedule, async () => {
-    await runScrapingAndClassificationJob();
+  cron.schedule(schedule, runScheduledJob);
+
+  // Retries are due between scrape runs; drain the pipeline queue on its own schedule
+  const pipelineSchedule = process.env.PIPELINE_SCHEDULE || '*/10 * * * *';
+  console.log(`⏰ Scheduling pipeline worker with schedule: ${pipelineSchedule}`);
+  cron.schedule(pipelineSchedule, async () => {
+    try {
+      await processPipelineJobs();
+    } catch (error) {
+      console.error('❌ Pipeline worker failed:', error);
+    }
   });
 
   console.log('✅ Cron job scheduler started');
 }
 
 /**
- * Manually trigger the job (useful for testing or API endpoints)
+ * Manually trigger the job (useful for testing or API endpoints). Returns as
+ * soon as the run has started; follow it through /api/jobs/:id.
+ * @returns {Promise<Object>} The started job run
+ * @throws {JobAlreadyRunningError} When a run is already in progress
  */
 export async function triggerJob() {
-  return runScrapingAndClassificationJob();
+  const { run } = await startJob('manual');
+  return run;
 }
@@ -0,0 +1,185 @@
+import * as cheerio from 'cheerio';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { fetchUrl, FetchError } from './httpClient.js';
+import { htmlToMarkdown } from '../utils/htmlToMarkdown.js';
+
+// Government and regulator domains whose pages count as official sources
+const OFFICIAL_DOMAINS = [
+  'gov.in',
+  'nic.in',
+  'rbi.org.in',
+  'pfrda.org.in',
+  'sansad.in',
+  ...(process.env.OFFICIAL_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean)
+];
+
+const MAX_DOCUMENTS_PER_POST = parseInt(process.env.MAX_DOCUMENTS_PER_POST || '3');
+const MAX_DOCUMENT_BYTES = parseInt(process.env.MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024));
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES || '50');
+
+/**
+ * Whether a hostname belongs to a government / regulator domain
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isOfficialHost(hostname) {
+  const host = hostname.toLowerCase();
+  if (/\.gov(\.[a-z]{2})?$/.test(host)) return true;
+  return OFFICIAL_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Whether a URL points at a PDF
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isPdfUrl(url) {
+  return /\.pdf$/i.test(url.pathname);
+}
+
+/**
+ * Pick the links of an article that point to official documents: PDFs
+ * anywhere, and any page on a government / regulator domain. Links back to
+ * the article's own site are ignored unless they are PDFs.
+ *
+ * @param {Array<{text: string, url: string}>} links - Links found in the article body
+ * @param {string} articleUrl - Article URL
+ * @returns {Array<{text: string, url: string}>} At most MAX_DOCUMENTS_PER_POST links, PDFs first
+ */
+export function findOfficialDocumentLinks(links, articleUrl) {
+  const articleHost = new URL(articleUrl).hostname;
+  const candidates = [];
+
+  for (const link of links) {
+    let url;
+    try {
+      url = new URL(link.url);
+    } catch {
+      continue;
+    }
+
+    const pdf = isPdfUrl(url);
+    const official = isOfficialHost(url.hostname) && url.hostname !== articleHost;
+    if (pdf || official) {
+      candidates.push({ ...link, pdf });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => Number(b.pdf) - Number(a.pdf))
+    .slice(0, MAX_DOCUMENTS_PER_POST)
+    .map(({ text, url }) => ({ text, url }));
+}
+
+/**
+ * Extract per-page text from a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<{title: string|null, page_count: number, pages: Array<{page: number, text: string}>}>}
+ */
+export async function extractPdfText(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+
+      // Keep line breaks where pdf.js marks the end of a line
+      const text = textContent.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join('')
+        .replace(/[ \t]+\n/g, '\n')
+        .trim();
+
+      pages.push({ page: pageNumber, text });
+    }
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+
+    return {
+      title: (info && info.Title) || null,
+      page_count: pdf.numPages,
+      pages
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Fetch one linked document through the scraper's HTTP layer and extract its text
+ * @param {{text: string, url: string}} link
+ * @returns {Promise<Object>} { url, title, content_type, page_count, pages, fetch_error }
+ */
+async function fetchDocument(link) {
+  const doc = {
+    url: link.url,
+    title: link.text || null,
+    content_type: null,
+    page_count: null,
+    pages: null,
+    fetch_error: null
+  };
+
+  try {
+    const response = await fetchUrl(link.url, { responseType: 'arraybuffer', maxContentLength: MAX_DOCUMENT_BYTES });
+    const buffer = Buffer.from(response.data);
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    doc.content_type = contentType || null;
+
+    if (contentType === 'application/pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      const pdf = await extractPdfText(buffer);
+      doc.content_type = 'application/pdf';
+      doc.title = pdf.title || doc.title;
+      doc.page_count = pdf.page_count;
+      doc.pages = pdf.pages;
+    } else if (contentType.includes('html') || contentType === '') {
+      const html = buffer.toString('utf8');
+      const $ = cheerio.load(html);
+      const main = ['main', 'article', '#content', 'body'].find(selector => $(selector).length > 0);
+      const { markdown } = htmlToMarkdown(html, { baseUrl: link.url, selector: main });
+      doc.title = $('title').first().text().trim() || doc.title;
+      doc.page_count = 1;
+      doc.pages = [{ page: 1, text: markdown }];
+    } else {
+      doc.fetch_error = `Unsupported content type: ${contentType}`;
+    }
+  } catch (error) {
+    if (!(error instanceof FetchError)) {
+      console.log(`⚠️ Could not extract ${link.url}: ${error.message}`);
+    }
+    doc.fetch_error = error.message;
+  }
+
+  return doc;
+}
+
+/**
+ * Fetch and extract the official documents an article links to
+ * @param {Array<{text: string, url: string}>} links - Links found in the article body
+ * @param {string} articleUrl - Article URL
+ * @returns {Promise<Array<Object>>} Documents ready for insertPostDocuments (failed fetches keep fetch_error)
+ */
+export async function fetchLinkedDocuments(links, articleUrl) {
+  const documents = [];
+
+  for (const link of findOfficialDocumentLinks(links, articleUrl)) {
+    const doc = await fetchDocument(link);
+    if (doc.fetch_error) {
+      console.log(`⚠️ Linked document not extracted (${link.url}): ${doc.fetch_error}`);
+    } else {
+      console.log(`📄 Extracted linked document (${doc.page_count} page(s)): ${link.url}`);
+    }
+    documents.push(doc);
+  }
+
+  return documents;
+}
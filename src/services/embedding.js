@@ -1,84 +1,84 @@
-// NOTE: OpenAI-based embedding implementation is commented out because
-// the OpenAI API quota has been exceeded for this project.
-// import openai, { EMBEDDING_MODEL } from '../config/llm.js';
-import ollama from 'ollama';
+import { embed } from './llm/index.js';
+import { EMBEDDING_DIMENSIONS } from '../config/llm.js';
+import { chunkText } from '../utils/chunker.js';
 
-// ---------------------------------------------------------------------------
-// OpenAI embedding implementation (deprecated in this project)
-// ---------------------------------------------------------------------------
-/*
+/**
+ * Generate embedding vector for article content with the provider configured
+ * for the "embed" task (see config/llm.js)
+ * @param {string} text - Text to generate embedding for (title + content)
+ * @returns {Promise<Array<number>>} Embedding vector
+ */
 export async function generateEmbedding(text) {
   try {
     if (!text || text.trim().length === 0) {
       throw new Error('Text cannot be empty');
     }
 
-    // Truncate text if too long (OpenAI has token limits)
-    const maxLength = 8000; // Approximate token limit for ada-002
+    // Truncate text if too long (just to be safe)
+    const maxLength = 8000;
     const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
 
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: truncatedText,
-    });
+    const { embedding, model } = await embed('embed', truncatedText);
 
-    if (!response.data || response.data.length === 0) {
-      throw new Error('No embedding data returned');
+    // Stored in posts.embedding_v2, which has a fixed size
+    if (!Array.isArray(embedding) || embedding.length !== EMBEDDING_DIMENSIONS) {
+      throw new Error(`Model ${model} returned ${embedding?.length} dimensions, expected ${EMBEDDING_DIMENSIONS}`);
     }
 
-    return response.data[0].embedding;
+    return embedding;
   } catch (error) {
     console.error('Error generating embedding:', error.message);
     throw error;
   }
 }
-*/
-
-// ---------------------------------------------------------------------------
-// Ollama-based embedding implementation (current)
-// Uses local Ollama with the "embeddinggemma" model by default.
-// ---------------------------------------------------------------------------
 
 /**
- * Generate embedding vector for article content using Ollama
- * @param {string} text - Text to generate embedding for (title + content)
- * @returns {Promise<Array<number>>} Embedding vector
+ * Mean of vectors, scaled to unit length (cosine distance only looks at direction)
+ * @param {Array<Array<number>>} vectors - Vectors of equal length
+ * @returns {Array<number>}
  */
-export async function generateEmbedding(text) {
-  try {
-    if (!text || text.trim().length === 0) {
-      throw new Error('Text cannot be empty');
-    }
-
-    // Truncate text if too long (just to be safe)
-    const maxLength = 8000;
-    const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
-
-    const model = process.env.EMBEDDING_MODEL || 'embeddinggemma';
-
-    const response = await ollama.embed({
-      model,
-      input: truncatedText,
-    });
+function poolVectors(vectors) {
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < vector.length; i++) mean[i] += vector[i] / vectors.length;
+  }
+  const norm = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? mean.map(value => value / norm) : mean;
+}
 
-    // ollama.embed returns { embeddings: number[][], ... }
-    if (!response || !Array.isArray(response.embeddings) || response.embeddings.length === 0) {
-      throw new Error('No embedding data returned from Ollama');
-    }
+/**
+ * Embed a post chunk by chunk: the content is split on paragraph boundaries
+ * (utils/chunker.js), each chunk is embedded with the title in front, and the
+ * chunk vectors are pooled into one document vector. Nothing past the first
+ * few thousand characters is dropped.
+ * @param {Object} post - Post object with title and content
+ * @returns {Promise<{embedding: Array<number>, chunks: Array<{index: number, content: string, embedding: Array<number>}>}>}
+ *   Pooled document vector (posts.embedding_v2) and the chunks with their vectors (post_chunks)
+ */
+export async function embedPostChunks(post) {
+  const chunks = chunkText(post.content);
+  if (chunks.length === 0) {
+    chunks.push({ index: 0, content: post.title || '' });
+  }
 
-    return response.embeddings[0];
-  } catch (error) {
-    console.error('Error generating embedding with Ollama:', error.message);
-    throw error;
+  const embedded = [];
+  for (const chunk of chunks) {
+    const embedding = await generateEmbedding(`${post.title}\n\n${chunk.content}`);
+    embedded.push({ ...chunk, embedding });
   }
+
+  return {
+    embedding: poolVectors(embedded.map(chunk => chunk.embedding)),
+    chunks: embedded
+  };
 }
 
 /**
- * Generate embedding for a post (combines title and content)
+ * Generate the document embedding of a post (pooled over its chunks)
  * @param {Object} post - Post object with title and content
  * @returns {Promise<Array<number>>} Embedding vector
  */
 export async function generatePostEmbedding(post) {
-  const combinedText = `${post.title}\n\n${post.content}`;
-  return generateEmbedding(combinedText);
+  const { embedding } = await embedPostChunks(post);
+  return embedding;
 }
@@ -0,0 +1,444 @@
+import fs from 'fs/promises';
+import { classifyArticle } from './classifier.js';
+import { FEW_SHOT_EXAMPLES } from './fewShot.js';
+import { getTaskConfig } from '../config/llm.js';
+import { resolvePrompt, PromptVersionError } from './prompts.js';
+import { normalizePillar } from '../utils/classificationSchema.js';
+import { getReviewedPosts } from '../models/postReview.js';
+import { getPostDocuments } from '../models/postDocument.js';
+import { createEvaluationRun, finishEvaluationRun } from '../models/evaluationRun.js';
+
+const DEFAULT_DELAY_MS = parseInt(process.env.EVALUATION_DELAY_MS || '0');
+
+// Metrics shown side by side by compareEvaluationRuns
+const COMPARED_METRICS = [
+  'precision', 'recall', 'f1', 'accuracy', 'pillar_accuracy', 'parse_failure_rate', 'llm_error_rate',
+  'latency_ms.mean', 'latency_ms.p50', 'latency_ms.p95'
+];
+
+/**
+ * Thrown for invalid evaluation options or datasets
+ */
+export class EvaluationOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EvaluationOptionsError';
+  }
+}
+
+/**
+ * Validate one labeled item (a JSONL line or an entry of the API's items).
+ * An item taken from a stored post should carry its post_id or url, so the
+ * post's own review is not retrieved as the item's few-shot example.
+ * @param {*} item - { id?, post_id?, title, content, url?, is_interesting, content_pillar? }
+ * @param {string} where - Position used in error messages
+ * @returns {Object} Normalized item
+ * @throws {EvaluationOptionsError}
+ */
+function parseLabeledItem(item, where) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new EvaluationOptionsError(`${where}: must be a JSON object`);
+  }
+  if (typeof item.title !== 'string' || typeof item.content !== 'string') {
+    throw new EvaluationOptionsError(`${where}: "title" and "content" must be strings`);
+  }
+  if (item.post_id !== undefined && item.post_id !== null && !Number.isInteger(item.post_id)) {
+    throw new EvaluationOptionsError(`${where}: "post_id" must be a post ID`);
+  }
+  if (item.url !== undefined && item.url !== null && typeof item.url !== 'string') {
+    throw new EvaluationOptionsError(`${where}: "url" must be a string`);
+  }
+  if (typeof item.is_interesting !== 'boolean') {
+    throw new EvaluationOptionsError(`${where}: "is_interesting" must be true or false`);
+  }
+  const pillar = item.content_pillar ? normalizePillar(item.content_pillar) : null;
+  if (item.content_pillar && !pillar) {
+    throw new EvaluationOptionsError(`${where}: unknown content_pillar "${item.content_pillar}"`);
+  }
+
+  return {
+    key: String(item.id ?? item.post_id ?? item.url ?? where),
+    post_id: item.post_id ?? undefined,
+    // id and url: retrieval leaves the item's own post out of its examples
+    article: { id: item.post_id ?? undefined, title: item.title, content: item.content, url: item.url || undefined, documents: item.documents },
+    expected: item.is_interesting,
+    expected_pillar: pillar
+  };
+}
+
+/**
+ * Validate and normalize evaluation options (from the API body or the CLI)
+ * @param {Object} input
+ * @param {string} [input.dataset] - 'reviews' for human-reviewed posts (default unless items/file are given)
+ * @param {Array<Object>} [input.items] - Inline labeled items (API)
+ * @param {string} [input.file] - Path of a JSONL file of labeled items (CLI)
+ * @param {string} [input.source] - Only reviewed posts from this source
+ * @param {number} [input.limit] - Evaluate at most this many items
+ * @param {string} [input.model] - Model to evaluate instead of the configured classify model
+ * @param {string} [input.prompt_version] - Classify prompt version to evaluate (default: the active one)
+ * @param {number} [input.examples] - Few-shot examples per item (default: CLASSIFY_FEW_SHOT_EXAMPLES; 0 = zero-shot)
+ * @param {string} [input.name] - Label for the run
+ * @param {number} [input.delay_ms] - Pause between items (default: EVALUATION_DELAY_MS or 0)
+ * @returns {Object} Normalized options
+ * @throws {EvaluationOptionsError}
+ */
+export function parseEvaluationOptions(input = {}) {
+  const { items, file, source, limit, model, prompt_version, name, examples = FEW_SHOT_EXAMPLES, delay_ms = DEFAULT_DELAY_MS } = input;
+  const dataset = input.dataset || (items ? 'inline' : file ? 'file' : 'reviews');
+
+  if (!['reviews', 'inline', 'file'].includes(dataset)) {
+    throw new EvaluationOptionsError('dataset must be "reviews", or give items / a JSONL file');
+  }
+  if (dataset === 'inline' && (!Array.isArray(items) || items.length === 0)) {
+    throw new EvaluationOptionsError('items must be a non-empty array of labeled articles');
+  }
+  if (dataset === 'file' && (typeof file !== 'string' || !file)) {
+    throw new EvaluationOptionsError('file must be the path of a JSONL file');
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new EvaluationOptionsError('limit must be a positive integer');
+  }
+  if (model !== undefined && (typeof model !== 'string' || !model)) {
+    throw new EvaluationOptionsError('model must be a string');
+  }
+  if (prompt_version !== undefined && (typeof prompt_version !== 'string' || !prompt_version)) {
+    throw new EvaluationOptionsError('prompt_version must be a string');
+  }
+  if (!Number.isInteger(examples) || examples < 0) {
+    throw new EvaluationOptionsError('examples must be a non-negative integer');
+  }
+  if (!Number.isInteger(delay_ms) || delay_ms < 0) {
+    throw new EvaluationOptionsError('delay_ms must be a non-negative integer');
+  }
+
+  return {
+    dataset,
+    items: dataset === 'inline' ? items.map((item, i) => parseLabeledItem(item, `items[${i}]`)) : undefined,
+    file: dataset === 'file' ? file : undefined,
+    source: source || undefined,
+    limit,
+    model: model || undefined,
+    prompt_version: prompt_version || undefined,
+    name: name || null,
+    examples,
+    delay_ms
+  };
+}
+
+/**
+ * Load the labeled items of an evaluation
+ * @param {Object} options - Parsed options (see parseEvaluationOptions)
+ * @returns {Promise<Array<Object>>} Items with key, article, expected, expected_pillar
+ * @throws {EvaluationOptionsError}
+ */
+export async function loadDataset(options) {
+  let items;
+
+  if (options.dataset === 'inline') {
+    items = options.items;
+  } else if (options.dataset === 'file') {
+    let text;
+    try {
+      text = await fs.readFile(options.file, 'utf8');
+    } catch (error) {
+      throw new EvaluationOptionsError(`Cannot read ${options.file}: ${error.message}`);
+    }
+    items = [];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        throw new EvaluationOptionsError(`line ${i + 1}: invalid JSON (${error.message})`);
+      }
+      items.push(parseLabeledItem(parsed, `line ${i + 1}`));
+    });
+  } else {
+    const posts = await getReviewedPosts({ source: options.source, limit: options.limit });
+    items = [];
+    for (const post of posts) {
+      items.push({
+        key: String(post.id),
+        post_id: post.id,
+        // id and embedding: examples are retrieved as in the pipeline, never the post itself
+        article: {
+          id: post.id,
+          title: post.title,
+          content: post.content,
+          url: post.url,
+          embedding: post.embedding_v2,
+          documents: await getPostDocuments(post.id)
+        },
+        expected: post.reviewed_is_interesting,
+        expected_pillar: post.reviewed_pillar
+      });
+    }
+  }
+
+  return options.limit ? items.slice(0, options.limit) : items;
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Ratio, or null when the denominator is 0
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Compute evaluation metrics from per-item results. "Interesting" is the
+ * positive class; items the classifier failed on count as misses in the
+ * confusion matrix and are reported as parse failures / LLM errors.
+ * @param {Array<Object>} results - Per-item results of classifyItems
+ * @returns {Object} Metrics
+ */
+export function computeMetrics(results) {
+  const confusion = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  let parseFailures = 0;
+  let llmErrors = 0;
+  let pillarEvaluated = 0;
+  let pillarCorrect = 0;
+  let repairs = 0;
+
+  for (const result of results) {
+    if (result.error_code === 'invalid_output') parseFailures++;
+    if (result.error_code === 'llm_error') llmErrors++;
+    repairs += result.repair_attempts || 0;
+
+    if (result.predicted === null) {
+      if (result.expected) confusion.fn++;
+      continue;
+    }
+
+    if (result.expected && result.predicted) confusion.tp++;
+    else if (!result.expected && result.predicted) confusion.fp++;
+    else if (result.expected && !result.predicted) confusion.fn++;
+    else confusion.tn++;
+
+    // Pillars only matter for articles that are interesting in the labels
+    if (result.expected && result.expected_pillar) {
+      pillarEvaluated++;
+      if (result.predicted_pillar === result.expected_pillar) pillarCorrect++;
+    }
+  }
+
+  const precision = ratio(confusion.tp, confusion.tp + confusion.fp);
+  const recall = ratio(confusion.tp, confusion.tp + confusion.fn);
+  const latencies = results.map(result => result.latency_ms).sort((a, b) => a - b);
+
+  return {
+    items: results.length,
+    classified: results.length - parseFailures - llmErrors,
+    confusion,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null,
+    accuracy: ratio(confusion.tp + confusion.tn, results.length),
+    pillar_accuracy: ratio(pillarCorrect, pillarEvaluated),
+    pillar_evaluated: pillarEvaluated,
+    parse_failures: parseFailures,
+    parse_failure_rate: ratio(parseFailures, results.length),
+    llm_errors: llmErrors,
+    llm_error_rate: ratio(llmErrors, results.length),
+    repair_attempts: repairs,
+    latency_ms: {
+      mean: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+    }
+  };
+}
+
+/**
+ * Classify each labeled item and record the outcome
+ * @param {Array<Object>} items - Loaded dataset
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Array<Object>>} Per-item results
+ */
+async function classifyItems(items, options) {
+  const results = [];
+
+  for (const [index, item] of items.entries()) {
+    const started = Date.now();
+    const result = {
+      key: item.key,
+      post_id: item.post_id,
+      title: item.article.title,
+      expected: item.expected,
+      expected_pillar: item.expected_pillar || null,
+      predicted: null,
+      predicted_pillar: null,
+      predicted_pillars: [],
+      confidence: null,
+      example_ids: [],
+      condensed_chunks: 0,
+      repair_attempts: 0,
+      error_code: null,
+      error: null
+    };
+
+    try {
+      const classification = await classifyArticle(item.article, {
+        model: options.model,
+        prompt_version: options.prompt_version,
+        examples: options.examples
+      });
+      result.predicted = classification.is_interesting;
+      result.predicted_pillar = classification.content_pillar;
+      result.predicted_pillars = classification.content_pillars;
+      result.confidence = classification.confidence;
+      result.example_ids = classification.example_ids;
+      result.condensed_chunks = classification.condensed_chunks;
+      result.repair_attempts = classification.repair_attempts;
+    } catch (error) {
+      result.error_code = error.code || 'llm_error';
+      result.error = error.message;
+    }
+    result.latency_ms = Date.now() - started;
+    results.push(result);
+
+    const outcome = result.error_code
+      ? `❌ ${result.error_code}`
+      : result.predicted === result.expected ? '✅' : '✖️ mismatch';
+    console.log(`   [${index + 1}/${items.length}] ${outcome} ${item.article.title?.substring(0, 60)}`);
+
+    if (options.delay_ms > 0 && index < items.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, options.delay_ms));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Start an evaluation run: load the labeled set, record the run and classify
+ * every item in the background
+ * @param {Object} options - Parsed options (see parseEvaluationOptions)
+ * @returns {Promise<{run: Object, done: Promise<Object>}>} The recorded run and a promise of the
+ *   finished run (rejected when the run fails; the failure is recorded on the run)
+ * @throws {EvaluationOptionsError} When the dataset is invalid or empty
+ */
+export async function startEvaluation(options) {
+  const items = await loadDataset(options);
+  if (items.length === 0) {
+    throw new EvaluationOptionsError(
+      options.dataset === 'reviews' ? 'No reviewed posts to evaluate against' : 'The dataset is empty'
+    );
+  }
+
+  // Every item uses the same prompt version: no A/B routing during an evaluation
+  let prompt;
+  try {
+    prompt = await resolvePrompt('classify', { version: options.prompt_version });
+  } catch (error) {
+    if (error instanceof PromptVersionError) throw new EvaluationOptionsError(error.message);
+    throw error;
+  }
+
+  const { provider, model } = getTaskConfig('classify');
+  const run = await createEvaluationRun({
+    name: options.name,
+    dataset: options.dataset === 'file' ? options.file : options.dataset,
+    provider,
+    model: options.model || prompt.model || model,
+    prompt_version: prompt.version,
+    // A template without {examples} never shows any
+    few_shot_examples: prompt.template.includes('{examples}') ? options.examples : 0,
+    item_count: items.length
+  });
+  console.log(`🧪 Evaluation run ${run.id}: ${items.length} item(s), ${provider}/${run.model}, prompt ${run.prompt_version}, ${run.few_shot_examples} example(s)`);
+
+  const done = (async () => {
+    try {
+      const results = await classifyItems(items, { ...options, prompt_version: prompt.version });
+      const metrics = computeMetrics(results);
+      console.log(`📊 Evaluation run ${run.id}: precision ${metrics.precision?.toFixed(3)}, recall ${metrics.recall?.toFixed(3)}, F1 ${metrics.f1?.toFixed(3)}`);
+      return await finishEvaluationRun(run.id, { status: 'succeeded', metrics, results });
+    } catch (error) {
+      console.error(`❌ Evaluation run ${run.id} failed:`, error.message);
+      await finishEvaluationRun(run.id, { status: 'failed', error: error.message })
+        .catch(recordError => console.error('❌ Could not record evaluation run:', recordError.message));
+      throw error;
+    }
+  })();
+  done.catch(() => {});
+
+  return { run, done };
+}
+
+/**
+ * Read a dotted metric path such as "latency_ms.p95"
+ */
+function readMetric(metrics, path) {
+  return path.split('.').reduce((value, key) => (value == null ? null : value[key] ?? null), metrics);
+}
+
+/**
+ * Compare two evaluation runs: metrics side by side with their change, and
+ * the items both runs saw where their verdicts differ
+ * @param {Object} base - Evaluation run (with results)
+ * @param {Object} candidate - Evaluation run (with results)
+ * @returns {Object} { base, candidate, metrics: { [name]: { base, candidate, delta } }, changed_items }
+ */
+export function compareEvaluationRuns(base, candidate) {
+  const summary = run => ({
+    id: run.id,
+    name: run.name,
+    dataset: run.dataset,
+    provider: run.provider,
+    model: run.model,
+    prompt_version: run.prompt_version,
+    few_shot_examples: run.few_shot_examples,
+    item_count: run.item_count,
+    status: run.status,
+    started_at: run.started_at
+  });
+
+  const metrics = {};
+  for (const path of COMPARED_METRICS) {
+    const baseValue = readMetric(base.metrics || {}, path);
+    const candidateValue = readMetric(candidate.metrics || {}, path);
+    metrics[path] = {
+      base: baseValue,
+      candidate: candidateValue,
+      delta: baseValue !== null && candidateValue !== null ? candidateValue - baseValue : null
+    };
+  }
+
+  const baseResults = new Map((base.results || []).map(result => [result.key, result]));
+  const changedItems = [];
+  for (const result of candidate.results || []) {
+    const previous = baseResults.get(result.key);
+    if (!previous) continue;
+    if (previous.predicted !== result.predicted || previous.predicted_pillar !== result.predicted_pillar) {
+      changedItems.push({
+        key: result.key,
+        title: result.title,
+        expected: result.expected,
+        expected_pillar: result.expected_pillar,
+        base: { predicted: previous.predicted, predicted_pillar: previous.predicted_pillar, error_code: previous.error_code },
+        candidate: { predicted: result.predicted, predicted_pillar: result.predicted_pillar, error_code: result.error_code }
+      });
+    }
+  }
+
+  return {
+    base: summary(base),
+    candidate: summary(candidate),
+    same_dataset: base.dataset === candidate.dataset,
+    metrics,
+    changed_items: changedItems
+  };
+}
@@ -0,0 +1,25 @@
+import { generatePostEmbedding } from './embedding.js';
+import { findSimilarReviewedPosts } from '../models/postReview.js';
+
+// Reviewed posts shown to the classifier as examples; 0 classifies zero-shot
+export const FEW_SHOT_EXAMPLES = parseInt(process.env.CLASSIFY_FEW_SHOT_EXAMPLES || '3');
+
+/**
+ * Retrieve the reviewed posts most similar to an article, as few-shot examples
+ * for the classifier. Uses the article's stored embedding_v2 when it has one,
+ * otherwise embeds it the way the pipeline's embed stage does. The article's
+ * own post (by id or URL) is never one of its examples.
+ * @param {Object} article - { id?, title, content, url?, embedding? }
+ * @param {number} [count] - Number of examples (default: CLASSIFY_FEW_SHOT_EXAMPLES)
+ * @returns {Promise<Array<Object>>} { id, title, excerpt, is_interesting, content_pillar, distance }
+ */
+export async function getFewShotExamples(article, count = FEW_SHOT_EXAMPLES) {
+  if (!count || count <= 0) return [];
+
+  const embedding = article.embedding || await generatePostEmbedding(article);
+  return findSimilarReviewedPosts(embedding, {
+    limit: count,
+    excludeId: article.id ?? null,
+    excludeUrl: article.url || null
+  });
+}
@@ -0,0 +1,373 @@
+import axios from 'axios';
+
+// Identify ourselves honestly; sites can find the project from the URL
+const USER_AGENT = process.env.SCRAPER_USER_AGENT
+  || 'pps-backend/1.0 (+https://github.com/neelgajjar-devx/pps-backend)';
+
+const RATE_PER_SEC = parseFloat(process.env.HTTP_RATE_PER_SEC || '1');
+const BURST = parseInt(process.env.HTTP_BURST || '1');
+const MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES || '3');
+const BACKOFF_BASE_MS = parseInt(process.env.HTTP_BACKOFF_BASE_MS || '1000');
+const MAX_BACKOFF_MS = parseInt(process.env.HTTP_MAX_BACKOFF_MS || '60000');
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// An unreachable robots.txt blocks the whole host, so it is retried soon rather than daily
+const ROBOTS_ERROR_TTL_MS = 5 * 60 * 1000;
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'ENOTFOUND'];
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/**
+ * Base class for failures of the shared fetch layer
+ */
+export class FetchError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} url - URL that failed
+   * @param {Object} [options] - { cause, code }
+   */
+  constructor(message, url, options = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.code = options.code || null;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/**
+ * Server answered with a non-success status (after retries, if retryable)
+ */
+export class HttpStatusError extends FetchError {
+  constructor(url, status) {
+    super(`HTTP ${status} for ${url}`, url, { code: 'HTTP_STATUS' });
+    this.name = 'HttpStatusError';
+    this.status = status;
+  }
+}
+
+/**
+ * robots.txt does not allow us to fetch this URL
+ */
+export class RobotsDisallowedError extends FetchError {
+  constructor(url) {
+    super(`Disallowed by robots.txt: ${url}`, url, { code: 'ROBOTS_DISALLOWED' });
+    this.name = 'RobotsDisallowedError';
+  }
+}
+
+/**
+ * Network-level failure (timeout, DNS, connection reset)
+ */
+export class NetworkError extends FetchError {
+  constructor(url, cause) {
+    super(`Network error for ${url}: ${cause.message}`, url, { code: cause.code || 'NETWORK', cause });
+    this.name = 'NetworkError';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Per-host rate limiting
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket: `burst` requests may go out back to back, after which
+ * requests are spaced at `ratePerSec`.
+ */
+class TokenBucket {
+  constructor(ratePerSec, burst) {
+    this.ratePerSec = ratePerSec;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    // Serialise waiters so concurrent callers cannot take the same token
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSec);
+    this.updatedAt = now;
+  }
+
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.ratePerSec) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Get (or create) the rate limiter for a host. A robots.txt Crawl-delay
+ * slower than the configured rate wins.
+ * @param {string} host
+ * @param {number|null} crawlDelaySec
+ * @returns {TokenBucket}
+ */
+function getBucket(host, crawlDelaySec = null) {
+  const rate = crawlDelaySec ? Math.min(RATE_PER_SEC, 1 / crawlDelaySec) : RATE_PER_SEC;
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    bucket = new TokenBucket(rate, BURST);
+    buckets.set(host, bucket);
+  } else if (bucket.ratePerSec !== rate) {
+    bucket.ratePerSec = rate;
+  }
+  return bucket;
+}
+
+// ---------------------------------------------------------------------------
+// robots.txt
+// ---------------------------------------------------------------------------
+
+const robotsCache = new Map();
+
+/**
+ * Parse robots.txt into the rule group that applies to our user agent.
+ * @param {string} text - robots.txt body
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+export function parseRobotsTxt(text) {
+  const agentToken = USER_AGENT.split('/')[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && agentToken.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+
+  return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+/**
+ * Match a robots.txt path pattern (supports * and $) against a path
+ * @param {string} pattern
+ * @param {string} path
+ * @returns {boolean}
+ */
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Whether robots rules allow a path: the longest matching rule wins, Allow wins ties.
+ * @param {{rules: Array<{allow: boolean, path: string}>}} robots
+ * @param {string} path - Path plus query string
+ * @returns {boolean}
+ */
+export function isAllowedByRobots(robots, path) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and cache robots.txt for an origin. Per RFC 9309 a missing robots.txt
+ * (4xx) allows everything and an unreachable one (5xx / network) disallows everything.
+ * Unreachable results are cached for a few minutes only.
+ * @param {string} origin - e.g. https://www.moneycontrol.com
+ * @returns {Promise<{rules: Array<Object>, crawlDelay: number|null}>}
+ */
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.robots;
+
+  let robots;
+  let ttl = ROBOTS_TTL_MS;
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': USER_AGENT },
+      timeout: parseInt(process.env.REQUEST_TIMEOUT_MS || '15000'),
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      robots = parseRobotsTxt(String(response.data));
+    } else if (response.status >= 400 && response.status < 500) {
+      robots = { rules: [], crawlDelay: null };
+    } else {
+      console.log(`⚠️ robots.txt for ${origin} returned HTTP ${response.status}`);
+      robots = { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+      ttl = ROBOTS_ERROR_TTL_MS;
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not fetch robots.txt for ${origin}: ${error.message}`);
+    robots = { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+    ttl = ROBOTS_ERROR_TTL_MS;
+  }
+
+  robotsCache.set(origin, { robots, expiresAt: Date.now() + ttl });
+  return robots;
+}
+
+// ---------------------------------------------------------------------------
+// Fetch
+// ---------------------------------------------------------------------------
+
+/**
+ * Delay before the next attempt: Retry-After when the server sent one,
+ * exponential backoff with jitter otherwise.
+ * @param {number} attempt - 0-based attempt that just failed
+ * @param {Object} [headers] - Response headers
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt, headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = !isNaN(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (!isNaN(ms) && ms >= 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  const backoff = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BACKOFF_BASE_MS, MAX_BACKOFF_MS);
+}
+
+/**
+ * GET a URL through the shared scraping fetch layer: robots.txt check,
+ * per-host rate limit, retries on 429/5xx and network errors, and optional
+ * conditional request validators.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {string} [options.etag] - ETag from a previous response (sent as If-None-Match)
+ * @param {string} [options.lastModified] - Last-Modified from a previous response (sent as If-Modified-Since)
+ * @param {string} [options.responseType='text'] - axios responseType ('text' or 'arraybuffer')
+ * @param {boolean} [options.ignoreRobots=false] - Skip the robots.txt check
+ * @param {number} [options.maxContentLength] - Abort the download past this many bytes (fails with a NetworkError)
+ * @returns {Promise<{url: string, status: number, notModified: boolean, data: string|Buffer|null, headers: Object, etag: string|null, lastModified: string|null}>}
+ * @throws {RobotsDisallowedError|HttpStatusError|NetworkError}
+ */
+export async function fetchUrl(url, options = {}) {
+  const { etag, lastModified, responseType = 'text', ignoreRobots = false, maxContentLength = -1 } = options;
+  const { origin, host, pathname, search } = new URL(url);
+
+  let crawlDelay = null;
+  if (!ignoreRobots && process.env.RESPECT_ROBOTS_TXT !== 'false') {
+    const robots = await getRobots(origin);
+    if (!isAllowedByRobots(robots, `${pathname}${search}`)) {
+      throw new RobotsDisallowedError(url);
+    }
+    crawlDelay = robots.crawlDelay;
+  }
+
+  const headers = { 'User-Agent': USER_AGENT };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const bucket = getBucket(host, crawlDelay);
+
+  for (let attempt = 0; ; attempt++) {
+    await bucket.take();
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        headers,
+        responseType,
+        maxContentLength,
+        timeout: parseInt(process.env.REQUEST_TIMEOUT_MS || '15000'),
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (attempt < MAX_RETRIES && RETRYABLE_CODES.includes(error.code)) {
+        const delay = retryDelay(attempt);
+        console.log(`⚠️ ${error.code} fetching ${url}, retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw new NetworkError(url, error);
+    }
+
+    const { status } = response;
+
+    if (status === 429 || status >= 500) {
+      if (attempt < MAX_RETRIES) {
+        const delay = retryDelay(attempt, response.headers);
+        console.log(`⚠️ HTTP ${status} fetching ${url}, retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw new HttpStatusError(url, status);
+    }
+
+    if (status === 304) {
+      return {
+        url,
+        status,
+        notModified: true,
+        data: null,
+        headers: response.headers,
+        etag: response.headers.etag || etag || null,
+        lastModified: response.headers['last-modified'] || lastModified || null
+      };
+    }
+
+    if (status < 200 || status >= 300) {
+      throw new HttpStatusError(url, status);
+    }
+
+    return {
+      url,
+      status,
+      notModified: false,
+      data: response.data,
+      headers: response.headers,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    };
+  }
+}
@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+
+// Events kept per run so late subscribers (SSE clients, polling) see what happened so far
+const MAX_EVENTS = 500;
+// How long a finished run's progress stays in memory
+const RETAIN_MS = 15 * 60 * 1000;
+
+const trackers = new Map();
+
+/**
+ * Start tracking progress for a run
+ * @param {number} runId - Job run ID
+ * @param {Object} counts - Live counts object (mutated by the job as it runs)
+ */
+export function startProgress(runId, counts) {
+  trackers.set(runId, {
+    runId,
+    counts,
+    phase: 'starting',
+    finished: false,
+    events: [],
+    emitter: new EventEmitter()
+  });
+}
+
+/**
+ * Record a progress event for a run and push it to subscribers
+ * @param {number} runId - Job run ID
+ * @param {string} type - Event type: 'phase', 'listing', 'article', 'pipeline' or 'finished'
+ * @param {Object} [data] - Event payload
+ */
+export function reportProgress(runId, type, data = {}) {
+  const tracker = trackers.get(runId);
+  if (!tracker) return;
+
+  if (type === 'phase') tracker.phase = data.phase;
+
+  const event = {
+    id: tracker.events.length > 0 ? tracker.events[tracker.events.length - 1].id + 1 : 1,
+    type,
+    at: new Date().toISOString(),
+    ...data,
+    counts: { ...tracker.counts }
+  };
+  tracker.events.push(event);
+  if (tracker.events.length > MAX_EVENTS) tracker.events.shift();
+
+  tracker.emitter.emit('event', event);
+}
+
+/**
+ * Mark a run finished, notify subscribers and drop its progress after RETAIN_MS
+ * @param {number} runId - Job run ID
+ * @param {Object} run - Final job run row
+ */
+export function finishProgress(runId, run) {
+  const tracker = trackers.get(runId);
+  if (!tracker) return;
+
+  tracker.phase = 'finished';
+  reportProgress(runId, 'finished', { status: run ? run.status : 'failed', error: run ? run.error : null });
+  tracker.finished = true;
+  tracker.emitter.removeAllListeners();
+
+  setTimeout(() => trackers.delete(runId), RETAIN_MS).unref();
+}
+
+/**
+ * Snapshot of a run's progress
+ * @param {number} runId - Job run ID
+ * @param {number} [recent=50] - Number of most recent events to include
+ * @returns {{phase: string, finished: boolean, counts: Object, events: Array<Object>}|null}
+ *   null when this process is not tracking the run
+ */
+export function getProgress(runId, recent = 50) {
+  const tracker = trackers.get(runId);
+  if (!tracker) return null;
+
+  return {
+    phase: tracker.phase,
+    finished: tracker.finished,
+    counts: { ...tracker.counts },
+    events: tracker.events.slice(-recent)
+  };
+}
+
+/**
+ * Subscribe to a run's progress. Events recorded before the call are replayed
+ * to the listener first.
+ * @param {number} runId - Job run ID
+ * @param {(event: Object) => void} listener - Called for each event
+ * @returns {(() => void)|null} Unsubscribe function, or null when the run is not tracked
+ */
+export function subscribeToProgress(runId, listener) {
+  const tracker = trackers.get(runId);
+  if (!tracker) return null;
+
+  for (const event of tracker.events) listener(event);
+  if (tracker.finished) return () => {};
+
+  tracker.emitter.on('event', listener);
+  return () => tracker.emitter.off('event', listener);
+}
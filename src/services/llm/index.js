@@ -0,0 +1,72 @@
+import { getTaskConfig } from '../../config/llm.js';
+import ollamaProvider from './ollama.js';
+import openaiCompatibleProvider from './openaiCompatible.js';
+import mockProvider from './mock.js';
+
+/**
+ * One backend for chat and embedding calls. Services never talk to a model
+ * server directly; they call chat()/embed() with their task name and the
+ * provider and model configured for that task (see config/llm.js) are used.
+ *
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name used in config ('ollama', 'openai', 'mock')
+ * @property {(request: { task: string, model: string, messages: Array<{role: string, content: string}>, json?: boolean, params?: GenerationParams }) => Promise<string>} chat
+ *   Chat completion; returns the assistant message text (a JSON string when json is set)
+ * @property {(request: { task: string, model: string, input: string }) => Promise<Array<number>>} embed
+ *   Embedding vector for one input
+ */
+
+/**
+ * Generation parameters a prompt template may set; unset ones keep the provider's defaults
+ *
+ * @typedef {Object} GenerationParams
+ * @property {number} [temperature]
+ * @property {number} [top_p]
+ * @property {number} [max_tokens] - Maximum tokens to generate
+ * @property {number} [seed]
+ */
+
+export const GENERATION_PARAMS = ['temperature', 'top_p', 'max_tokens', 'seed'];
+
+const providers = new Map(
+  [ollamaProvider, openaiCompatibleProvider, mockProvider].map(provider => [provider.name, provider])
+);
+
+/**
+ * Provider and model for a task
+ * @param {string} task - 'classify' | 'transform' | 'summarize' | 'embed'
+ * @returns {{ provider: LLMProvider, model: string }}
+ */
+function resolve(task) {
+  const config = getTaskConfig(task);
+  return { provider: providers.get(config.provider), model: config.model };
+}
+
+/**
+ * Run a chat completion for a task
+ * @param {string} task - 'classify' | 'transform' | 'summarize'
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Ask for a JSON object response
+ * @param {string} [options.model] - Model to use instead of the task's configured one
+ * @param {GenerationParams} [options.params] - Generation parameters
+ * @returns {Promise<{content: string, model: string, provider: string}>}
+ */
+export async function chat(task, messages, options = {}) {
+  const { provider, model: configuredModel } = resolve(task);
+  const model = options.model || configuredModel;
+  const content = await provider.chat({ task, model, messages, json: options.json === true, params: options.params || {} });
+  return { content, model, provider: provider.name };
+}
+
+/**
+ * Embed a text for a task
+ * @param {string} task - 'embed'
+ * @param {string} input - Text to embed
+ * @returns {Promise<{embedding: Array<number>, model: string, provider: string}>}
+ */
+export async function embed(task, input) {
+  const { provider, model } = resolve(task);
+  const embedding = await provider.embed({ task, model, input });
+  return { embedding, model, provider: provider.name };
+}
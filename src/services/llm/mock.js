@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { EMBEDDING_DIMENSIONS } from '../../config/llm.js';
+
+/**
+ * Deterministic mock provider: the same input always gives the same output, so
+ * the whole pipeline can run (and be tested) without a model server. Chat
+ * responses are shaped per task; embeddings are unit vectors seeded from a
+ * hash of the input.
+ */
+
+const POLICY_TERMS = /\b(scheme|ministry|government|govt|policy|regulation|rbi|sebi|budget|tax|gst|bill|act|rules?|notification|circular|subsidy|pension|yojana)\b/i;
+
+/**
+ * Text of the last user message
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function lastUserMessage(messages) {
+  const user = [...messages].reverse().find(message => message.role === 'user');
+  return user ? user.content : '';
+}
+
+/**
+ * Pull a "Label: value" line out of a formatted prompt
+ * @param {string} prompt
+ * @param {string} label - e.g. 'Title'
+ * @returns {string}
+ */
+function promptField(prompt, label) {
+  const match = prompt.match(new RegExp(`^${label}:\\s*(.*)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const RESPONDERS = {
+  classify(prompt) {
+    const title = promptField(prompt, 'Title');
+    const isInteresting = POLICY_TERMS.test(title) || POLICY_TERMS.test(prompt.slice(prompt.indexOf('Content:')));
+    // Official when the prompt carries linked official documents (the section reads "None" otherwise)
+    const documents = prompt.split(/^Linked official documents.*$/m)[1] || '';
+    const isOfficial = documents.trim().length > 0 && !/^None\b/.test(documents.trim());
+    return JSON.stringify({
+      is_interesting: isInteresting,
+      confidence: isInteresting ? 0.7 : 0.6,
+      reasoning: isInteresting
+        ? 'Mock classifier: the article mentions a government policy term.'
+        : 'Mock classifier: no government policy term found.',
+      content_pillars: isInteresting ? ['CURRENT AFFAIRS IN INDIA'] : [],
+      impact_dimensions: isInteresting && /\b(tax|gst|subsidy|pension|budget)\b/i.test(prompt) ? ['money'] : [],
+      source_credibility: isOfficial ? 'official' : 'media_citing_official',
+      policy_anchor: null
+    });
+  },
+
+  // Notes on one part of a long article: its first two sentences
+  summarize(prompt) {
+    const text = prompt.split(/^Part text:\s*$/m)[1] || '';
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*/g) || [];
+    return sentences.slice(0, 2).map(sentence => `- ${sentence.trim()}`).join('\n');
+  },
+
+  // A structured explainer from the title and the first three sentences of the
+  // article. A rewrite request (see formatMissingFactsPrompt) gets the previous
+  // explainer back with the missing facts added, so the fact check passes on the retry.
+  transform(prompt, messages) {
+    if (prompt.startsWith('Your explainer leaves out')) {
+      const previous = [...messages].reverse().find(message => message.role === 'assistant');
+      const explainer = previous ? JSON.parse(previous.content) : { summary: '', sections: [] };
+      const facts = (prompt.match(/^- .+$/gm) || [])
+        .map(fact => fact.replace(/ \((?:date|currency|percentage|number|scheme)\)$/, ''));
+      explainer.sections.push({
+        title: 'Key facts',
+        items: [{ question: 'What are the key facts?', answer: facts.join('\n'), tables: [], sources: [] }]
+      });
+      return JSON.stringify(explainer);
+    }
+
+    const title = promptField(prompt, 'Source article title') || 'This article';
+    const url = promptField(prompt, 'Source URL');
+    const content = (prompt.split(/^Raw article content to convert:\s*$/m)[1] || '').split(/^---$/m)[0];
+    const sentences = content.replace(/\s+/g, ' ').trim().match(/.+?(?:[.!?](?=\s|$)|$)/g) || [];
+    const sources = /^https?:\/\//.test(url) ? [{ url, page: null }] : [];
+    return JSON.stringify({
+      summary: `${title.replace(/\.$/, '')}.`,
+      sections: [
+        {
+          title: 'What is this about?',
+          items: [{
+            question: 'What happened?',
+            answer: sentences.slice(0, 3).map(sentence => sentence.trim()).join(' ') || 'No details were given.',
+            tables: [],
+            sources
+          }]
+        },
+        {
+          title: 'Why does it matter?',
+          items: [{
+            question: 'Is this explainer real?',
+            answer: 'This is a mock explainer generated without a language model.',
+            tables: [{ caption: null, columns: ['Provider', 'Output'], rows: [['mock', 'deterministic']] }],
+            sources: []
+          }]
+        }
+      ]
+    });
+  }
+};
+
+/**
+ * @type {import('./index.js').LLMProvider}
+ */
+const mockProvider = {
+  name: 'mock',
+
+  async chat({ task, messages }) {
+    const respond = RESPONDERS[task];
+    if (!respond) {
+      throw new Error(`Mock provider has no response for task "${task}"`);
+    }
+    return respond(lastUserMessage(messages), messages);
+  },
+
+  async embed({ input }) {
+    const seed = crypto.createHash('sha256').update(input).digest().readUInt32LE(0);
+    const random = seededRandom(seed);
+    const vector = Array.from({ length: EMBEDDING_DIMENSIONS }, () => random() * 2 - 1);
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return vector.map(value => value / norm);
+  }
+};
+
+export default mockProvider;
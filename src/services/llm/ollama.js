@@ -0,0 +1,40 @@
+import { Ollama } from 'ollama';
+import { OLLAMA_HOST } from '../../config/llm.js';
+
+const client = new Ollama({ host: OLLAMA_HOST });
+
+/**
+ * Ollama provider
+ * @type {import('./index.js').LLMProvider}
+ */
+const ollamaProvider = {
+  name: 'ollama',
+
+  async chat({ model, messages, json, params = {} }) {
+    const response = await client.chat({
+      model,
+      messages,
+      // Ask Ollama to format the response as JSON
+      format: json ? 'json' : undefined,
+      options: {
+        temperature: params.temperature,
+        top_p: params.top_p,
+        num_predict: params.max_tokens,
+        seed: params.seed
+      },
+      stream: false
+    });
+    return response?.message?.content || '';
+  },
+
+  async embed({ model, input }) {
+    const response = await client.embed({ model, input });
+    // ollama.embed returns { embeddings: number[][], ... }
+    if (!response || !Array.isArray(response.embeddings) || response.embeddings.length === 0) {
+      throw new Error('No embedding data returned from Ollama');
+    }
+    return response.embeddings[0];
+  }
+};
+
+export default ollamaProvider;
@@ -0,0 +1,55 @@
+import OpenAI from 'openai';
+import { OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_EMBEDDING_DIMENSIONS } from '../../config/llm.js';
+
+let client = null;
+
+/**
+ * Created on first use so a missing OPENAI_API_KEY only matters when the provider is used
+ * @returns {OpenAI}
+ */
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      baseURL: OPENAI_BASE_URL,
+      // Local OpenAI-compatible servers usually accept any key
+      apiKey: OPENAI_API_KEY || 'not-set'
+    });
+  }
+  return client;
+}
+
+/**
+ * Provider for OpenAI and any OpenAI-compatible endpoint (vLLM, LM Studio,
+ * llama.cpp server, OpenRouter, ...) selected by OPENAI_BASE_URL
+ * @type {import('./index.js').LLMProvider}
+ */
+const openaiCompatibleProvider = {
+  name: 'openai',
+
+  async chat({ model, messages, json, params = {} }) {
+    const response = await getClient().chat.completions.create({
+      model,
+      messages,
+      temperature: params.temperature ?? 0.3,
+      top_p: params.top_p,
+      max_tokens: params.max_tokens,
+      seed: params.seed,
+      response_format: json ? { type: 'json_object' } : undefined
+    });
+    return response.choices[0]?.message?.content || '';
+  },
+
+  async embed({ model, input }) {
+    const response = await getClient().embeddings.create({
+      model,
+      input,
+      dimensions: OPENAI_EMBEDDING_DIMENSIONS || undefined
+    });
+    if (!response.data || response.data.length === 0) {
+      throw new Error('No embedding data returned');
+    }
+    return response.data[0].embedding;
+  }
+};
+
+export default openaiCompatibleProvider;
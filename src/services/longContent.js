@@ -0,0 +1,61 @@
+import { chat } from './llm/index.js';
+import { chunkText } from '../utils/chunker.js';
+import { formatChunkNotesPrompt } from '../utils/chunkNotesPrompt.js';
+
+// Notes of notes at most this deep; anything still too long is cut (with a warning)
+const MAX_REDUCE_ROUNDS = 3;
+// Rough characters per word of English news text, used to turn a character budget into a word budget
+const CHARS_PER_WORD = 6;
+const MIN_WORDS_PER_CHUNK = 40;
+
+/**
+ * Fit an article's text into a prompt budget. Text within maxChars is returned
+ * unchanged. Longer text is split into paragraph-aligned chunks, each chunk is
+ * condensed into notes by the "summarize" task (map) and the notes are joined
+ * in reading order (reduce); if the notes are still too long, they go through
+ * another round.
+ * @param {Object} article - { title, content }
+ * @param {number} maxChars - Character budget for the content
+ * @returns {Promise<{content: string, chunks: number, rounds: number}>} Text to put in the prompt,
+ *   the number of chunks of the original text that were condensed (0 if it fit) and the rounds used
+ * @throws {Error} When the summarize model fails or returns nothing
+ */
+export async function fitContentToBudget({ title, content }, maxChars) {
+  let text = content || '';
+  let originalChunks = 0;
+  let rounds = 0;
+
+  while (text.length > maxChars && rounds < MAX_REDUCE_ROUNDS) {
+    const chunks = chunkText(text);
+    if (rounds === 0) originalChunks = chunks.length;
+    const maxWords = Math.max(MIN_WORDS_PER_CHUNK, Math.floor(maxChars / chunks.length / CHARS_PER_WORD));
+
+    const notes = [];
+    for (const chunk of chunks) {
+      const prompt = formatChunkNotesPrompt({
+        title,
+        part: chunk.index + 1,
+        total: chunks.length,
+        text: chunk.content,
+        maxWords
+      });
+      const response = await chat('summarize', [{ role: 'user', content: prompt }]);
+      const note = response.content?.trim();
+      if (!note) {
+        throw new Error(`Summarize model returned no notes for part ${chunk.index + 1} of ${chunks.length}`);
+      }
+      notes.push(`[Part ${chunk.index + 1}/${chunks.length}]\n${note}`);
+    }
+
+    text = notes.join('\n\n');
+    rounds++;
+    console.log(`   🧩 Condensed ${chunks.length} part(s) of "${title}" to ${text.length} characters (round ${rounds})`);
+  }
+
+  if (text.length > maxChars) {
+    console.warn(`   ⚠️ "${title}" is still ${text.length} characters after ${rounds} round(s); cutting to ${maxChars}`);
+    text = text.substring(0, maxChars);
+  }
+
+  return { content: text, chunks: originalChunks, rounds };
+}
@@ -0,0 +1,257 @@
+import { embedPostChunks } from './embedding.js';
+import { classifyArticle, ClassificationError } from './classifier.js';
+import { transformContentToQA } from './contentTransformer.js';
+import {
+  getPostById,
+  updatePostEmbedding,
+  updatePostQA,
+  storeClassification,
+  setPostClassificationStatus,
+  advancePostStage
+} from '../models/post.js';
+import { getPostDocuments } from '../models/postDocument.js';
+import { replacePostChunks } from '../models/postChunk.js';
+import { enqueueJob, claimJobs, completeJob, failJob } from '../models/pipelineJob.js';
+
+const BACKOFF_BASE_MS = parseInt(process.env.PIPELINE_BACKOFF_BASE_MS || '60000');
+const MAX_BACKOFF_MS = parseInt(process.env.PIPELINE_MAX_BACKOFF_MS || '3600000');
+// A running job whose worker has not finished it after this long is assumed dead and reclaimed
+const STALE_AFTER_MINUTES = parseInt(process.env.PIPELINE_STALE_MINUTES || '30');
+
+/**
+ * Pipeline stages, keyed by job stage. `run` does the work for one post and
+ * stores its output; it is safe to re-run, so a job reclaimed after a crash
+ * (or a backfill) simply redoes the stage.
+ *
+ * `reached` is the post stage a successful run moves the post to, and `next`
+ * the job queued afterwards. When a job has exhausted its attempts, a stage with
+ * `onGiveUp` records the fallback and still advances the post; otherwise the
+ * post stays where it is (visible as a failed job).
+ */
+const STAGES = {
+  embed: {
+    reached: 'embedded',
+    next: 'transform',
+    // Embeddings are computed from the raw scraped content: one per chunk, pooled for the post
+    async run(post) {
+      const { embedding, chunks } = await embedPostChunks(post);
+      await replacePostChunks(post.id, chunks);
+      await updatePostEmbedding(post.id, embedding);
+    },
+    // The embedding only feeds search and few-shot retrieval: leave embedding_v2 NULL
+    // (the failed job records why) and still transform and classify the post
+    async onGiveUp(post, error) {
+      console.log(`   ⚠️ Post ${post.id} continues without an embedding: ${error.message}`);
+    }
+  },
+
+  transform: {
+    reached: 'transformed',
+    next: 'classify',
+    // The explainer goes to content_qa (markdown) and content_qa_json (structured);
+    // posts.content keeps the raw article. An explainer that still drops facts
+    // after its rewrites is stored as 'flagged'
+    async run(post) {
+      const documents = await getPostDocuments(post.id);
+      const qa = await transformContentToQA({ ...post, documents });
+      await updatePostQA(post.id, {
+        status: qa.fact_check.flagged ? 'flagged' : 'ok',
+        content: qa.content,
+        content_json: qa.structured,
+        model: qa.model,
+        prompt_version: qa.prompt_version,
+        params: qa.params,
+        fact_coverage: qa.fact_check.coverage,
+        condensed_fact_coverage: qa.fact_check.condensed_coverage,
+        missing_facts: qa.fact_check.missing
+      });
+    },
+    // The Q&A rewrite is best-effort: flag the fallback to raw content and still classify
+    async onGiveUp(post, error) {
+      await updatePostQA(post.id, { status: 'fallback', error: error.message });
+    }
+  },
+
+  classify: {
+    reached: 'classified',
+    next: null,
+    // Classifies the raw article, the same text the embedding was computed from
+    async run(post) {
+      const documents = await getPostDocuments(post.id);
+      let classification;
+      try {
+        classification = await classifyArticle({
+          id: post.id,
+          title: post.title,
+          content: post.content,
+          url: post.url,
+          embedding: post.embedding_v2,
+          documents
+        });
+      } catch (error) {
+        // Keep the failure queryable while the job retries
+        if (error instanceof ClassificationError) {
+          await setPostClassificationStatus(post.id, error.code, error.message);
+        }
+        throw error;
+      }
+
+      await storeClassification(post.id, classification);
+    }
+  }
+};
+
+export const JOB_STAGES = Object.keys(STAGES);
+
+// Drain in progress in this process: { done, listeners } (see processPipelineJobs)
+let activeDrain = null;
+
+/**
+ * Delay before retry number `attempts` (exponential, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * Move a post past a stage and queue the stage after it
+ * @param {Object} stage - Entry of STAGES
+ * @param {number} postId - Post ID
+ */
+async function advance(stage, postId) {
+  await advancePostStage(postId, stage.reached);
+  if (stage.next) await enqueueJob(postId, stage.next);
+}
+
+/**
+ * Run one claimed job and record its outcome
+ * @param {Object} job - Claimed pipeline_jobs row
+ * @returns {Promise<'done'|'retry'|'failed'>}
+ */
+async function runJob(job) {
+  const stage = STAGES[job.stage];
+  let post = null;
+
+  try {
+    post = await getPostById(job.post_id);
+    if (!post) throw new Error(`Post ${job.post_id} no longer exists`);
+    await stage.run(post);
+    await advance(stage, post.id);
+    if (!(await completeJob(job))) {
+      console.log(`   ⚠️ ${job.stage} for post ${job.post_id} finished after the job was reclaimed as stale`);
+    }
+    return 'done';
+  } catch (error) {
+    const updated = await failJob(job, error.message, getRetryDelay(job.attempts));
+    if (!updated) {
+      console.log(`   ⚠️ ${job.stage} failed for post ${job.post_id} after the job was reclaimed as stale; leaving it to its new worker: ${error.message}`);
+      return 'retry';
+    }
+    if (updated.status !== 'failed') {
+      console.log(`   ⚠️ ${job.stage} failed for post ${job.post_id} (attempt ${job.attempts}/${job.max_attempts}), will retry: ${error.message}`);
+      return 'retry';
+    }
+
+    console.error(`   ❌ ${job.stage} gave up for post ${job.post_id} after ${job.attempts} attempts: ${error.message}`);
+    if (post && stage.onGiveUp) {
+      try {
+        await stage.onGiveUp(post, error);
+        await advance(stage, post.id);
+      } catch (advanceError) {
+        console.error(`   ❌ Could not advance post ${job.post_id} past ${job.stage}:`, advanceError.message);
+      }
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Redo one stage for a post outside the queue (used by backfills). The post's
+ * stage only moves forward and no follow-up job is queued.
+ * @param {string} stageName - 'embed' | 'transform' | 'classify'
+ * @param {Object} post - Post row
+ * @throws {Error} When the stage fails
+ */
+export async function runStage(stageName, post) {
+  const stage = STAGES[stageName];
+  if (!stage) throw new Error(`Unknown pipeline stage "${stageName}"`);
+
+  await stage.run(post);
+  await advancePostStage(post.id, stage.reached);
+}
+
+/**
+ * Claim and run due jobs until there are none. Jobs are claimed one at a time,
+ * so a claimed job never waits behind others long enough to look stale.
+ * @param {Array<string>|null} stages - Only process these job stages
+ * @param {Set<Function>} listeners - Called with (job, outcome) after each job
+ */
+async function drainQueue(stages, listeners) {
+  while (true) {
+    const [job] = await claimJobs({ limit: 1, stages, staleAfterMinutes: STALE_AFTER_MINUTES });
+    if (!job) break;
+
+    const outcome = await runJob(job);
+    for (const listener of listeners) listener(job, outcome);
+
+    // Small delay to avoid overloading the LLM
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+/**
+ * Work through the pipeline queue until no job is due. Picks up work queued by
+ * this run as well as anything left pending by earlier (possibly interrupted) runs.
+ * Only one drain runs per process at a time: a call made while another drain is
+ * running waits for it, counting (and reporting through onJob) the jobs it runs
+ * meanwhile, then drains whatever is still due.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.stages] - Only process these job stages
+ * @param {(job: Object, outcome: 'done'|'retry'|'failed') => void} [options.onJob] - Called after each job
+ * @returns {Promise<{embedded: number, transformed: number, classified: number, retried: number, failed: number}>}
+ *   Jobs completed per stage reached, attempts that will be retried, and jobs that gave up
+ */
+export async function processPipelineJobs(options = {}) {
+  const { stages = null, onJob = null } = options;
+  const summary = { embedded: 0, transformed: 0, classified: 0, retried: 0, failed: 0 };
+
+  const track = (job, outcome) => {
+    if (outcome === 'done') summary[STAGES[job.stage].reached]++;
+    else if (outcome === 'retry') summary.retried++;
+    else summary.failed++;
+    if (onJob) onJob(job, outcome);
+  };
+
+  while (activeDrain) {
+    console.log('ℹ️ Pipeline worker already running, waiting for it to finish');
+    const running = activeDrain;
+    running.listeners.add(track);
+    // Its errors are reported to the call that started it
+    await running.done.catch(() => {});
+  }
+
+  const listeners = new Set([track]);
+  // activeDrain is cleared before `done` settles, so waiters see the queue free when they wake
+  const drain = {
+    listeners,
+    done: drainQueue(stages, listeners).finally(() => {
+      activeDrain = null;
+    })
+  };
+  activeDrain = drain;
+  await drain.done;
+
+  return summary;
+}
+
+/**
+ * Queue the first stage for a freshly stored post
+ * @param {number} postId - Post ID
+ * @returns {Promise<Object>} Job row
+ */
+export async function startPipeline(postId) {
+  return enqueueJob(postId, 'embed');
+}
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { CLASSIFICATION_PROMPT, CLASSIFICATION_PROMPT_VERSION } from '../utils/promptRefiner.js';
+import { CONTENT_TO_QA_PROMPT, QA_PROMPT_VERSION } from '../utils/contentToQAPrompt.js';
+import { getLiveTemplates, getPromptTemplateByVersion } from '../models/promptTemplate.js';
+
+export const PROMPT_TASKS = ['classify', 'transform'];
+
+// The prompts in src/utils, used while a task has no active stored version
+const BUILT_IN_PROMPTS = {
+  classify: { version: CLASSIFICATION_PROMPT_VERSION, template: CLASSIFICATION_PROMPT },
+  transform: { version: QA_PROMPT_VERSION, template: CONTENT_TO_QA_PROMPT }
+};
+
+// Placeholders a stored template must contain to be usable for its task
+export const REQUIRED_PLACEHOLDERS = {
+  classify: ['{title}', '{content}'],
+  transform: ['{content}']
+};
+
+/**
+ * Thrown when a requested prompt version does not exist
+ */
+export class PromptVersionError extends Error {
+  constructor(task, version) {
+    super(`Unknown ${task} prompt version "${version}"`);
+    this.name = 'PromptVersionError';
+  }
+}
+
+/**
+ * The built-in prompt of a task
+ * @param {string} task - 'classify' | 'transform'
+ * @returns {{ version: string, template: string }}
+ */
+export function getBuiltInPrompt(task) {
+  return BUILT_IN_PROMPTS[task];
+}
+
+/**
+ * Stable 0-99 bucket of a post for a task, so a post always lands on the same
+ * side of an A/B split
+ * @param {number} postId - Post ID
+ * @param {string} task - 'classify' | 'transform'
+ * @returns {number}
+ */
+export function abBucket(postId, task) {
+  return crypto.createHash('sha256').update(`${task}:${postId}`).digest().readUInt32LE(0) % 100;
+}
+
+/**
+ * Shape a stored template (or the built-in prompt) for the LLM services
+ */
+function toPrompt(row, variant) {
+  return {
+    id: row.id ?? null,
+    version: row.version,
+    template: row.template,
+    model: row.model || null,
+    params: row.params || {},
+    variant
+  };
+}
+
+/**
+ * Pick the prompt for one LLM call:
+ * - a pinned version when one is given (evaluations),
+ * - the candidate for the task's A/B share of posts,
+ * - otherwise the active version, or the built-in prompt when none is active.
+ * If stored templates cannot be read, the built-in prompt is used.
+ * @param {string} task - 'classify' | 'transform'
+ * @param {Object} [options]
+ * @param {number} [options.postId] - Post being processed (A/B routing needs one)
+ * @param {string} [options.version] - Version to use regardless of status
+ * @returns {Promise<{id: number|null, version: string, template: string, model: string|null, params: Object, variant: string}>}
+ *   variant is 'built_in', 'active', 'candidate' or 'pinned'
+ * @throws {PromptVersionError} When a pinned version does not exist
+ */
+export async function resolvePrompt(task, { postId = null, version = null } = {}) {
+  const builtIn = BUILT_IN_PROMPTS[task];
+
+  if (version) {
+    // Stored versions never reuse the built-in label (see routes/prompts.js)
+    if (version === builtIn.version) return toPrompt(builtIn, 'built_in');
+    const stored = await getPromptTemplateByVersion(task, version);
+    if (stored) return toPrompt(stored, 'pinned');
+    throw new PromptVersionError(task, version);
+  }
+
+  let live;
+  try {
+    live = await getLiveTemplates(task);
+  } catch (error) {
+    console.warn(`   ⚠️ Prompt templates unavailable, using the built-in ${task} prompt: ${error.message}`);
+    return toPrompt(builtIn, 'built_in');
+  }
+
+  if (live.candidate && postId !== null && postId !== undefined
+    && abBucket(postId, task) < live.candidate.candidate_percent) {
+    return toPrompt(live.candidate, 'candidate');
+  }
+  return live.active ? toPrompt(live.active, 'active') : toPrompt(builtIn, 'built_in');
+}
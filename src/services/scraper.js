@@ -1,275 +1,392 @@
-import axios from 'axios';
-import * as cheerio from 'cheerio';
-import { parseMoneycontrolDate } from '../utils/dateParser.js';
-
-const baseUrl = 'https://www.moneycontrol.com';
-
-const HEADERS = {
-  'User-Agent':
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-};
-
-// MoneyControl URLs to scrape
-export const MONEYCONTROL_URLS = [
-  'https://www.moneycontrol.com/news/business/personal-finance/',
-  'https://www.moneycontrol.com/banking/',
-  'https://www.moneycontrol.com/news/india/',
-  'https://www.moneycontrol.com/city/',
-  // 'https://www.moneycontrol.com/world/',
-  // 'https://www.moneycontrol.com/news/politics/',
-  // 'https://www.moneycontrol.com/defence/',
-  'https://www.moneycontrol.com/news/business/economy/'
-];
+import { parseArticleDate, parseArticleDates } from '../utils/dateParser.js';
+import { getSourceAdapter } from './sources/index.js';
+import { getExistingSourceIds } from '../models/post.js';
+import { getWatermark } from '../models/crawlWatermark.js';
+import { archivePage, getArchiveEntry, readArchivedPage, listArchiveEntries } from './archive.js';
+import { fetchUrl, FetchError } from './httpClient.js';
+import { extractStructuredMetadata } from '../utils/structuredMetadata.js';
+import { fetchLinkedDocuments } from './documents.js';
 
 /**
- * Sleep/delay function to wait between requests
- * @param {number} ms - Milliseconds to wait
- * @returns {Promise<void>}
+ * Whether scraping should read from the raw page archive instead of the network
+ * @param {Object} options - Scrape options
+ * @returns {boolean}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function isReplay(options) {
+  return options.replay !== undefined ? options.replay : process.env.SCRAPER_REPLAY === 'true';
 }
 
 /**
- * Safely extracts text from a cheerio element
- * Returns empty string if element is not found
- * @param {CheerioStatic} $ - Cheerio instance
- * @param {string} selector - CSS selector string
- * @param {string|null} subSelector - Optional sub-selector to find within the matched element
- * @returns {string} Extracted text or empty string
+ * Fetch a page and return its HTML. Every fetched page is stored in the raw
+ * archive, which also serves as the cache for conditional requests: the
+ * archived ETag / Last-Modified are sent and a 304 is answered from the
+ * archive. In replay mode the archive is read instead of the network.
+ * @param {string} url - URL to fetch
+ * @param {string} kind - 'listing' or 'article' (recorded in the archive index)
+ * @param {Object} options - Scrape options ({ replay })
+ * @param {Object} [info] - Extra fields for the archive index entry (source, listing)
+ * @returns {Promise<{html: string, archiveHash: string|null}|null>} HTML, or null on an archive miss in replay mode
+ * @throws {FetchError} When the page cannot be fetched
  */
-function safeExtractText($, selector, subSelector = null) {
-  const element = $(selector).first();
-  if (element.length === 0) return '';
+async function fetchPage(url, kind, options, info = {}) {
+  if (isReplay(options)) {
+    const archived = await readArchivedPage(url);
+    if (!archived) {
+      console.log(`Page not in archive: ${url}`);
+      return null;
+    }
+    return { html: archived.body, archiveHash: archived.hash };
+  }
+
+  const archiving = process.env.ARCHIVE_PAGES !== 'false';
+  const cached = archiving && !options.skipValidators ? await getArchiveEntry(url) : null;
+
+  const response = await fetchUrl(url, {
+    etag: cached ? cached.etag : undefined,
+    lastModified: cached ? cached.last_modified : undefined
+  });
+
+  if (response.notModified) {
+    const archived = await readArchivedPage(url);
+    if (archived) {
+      return { html: archived.body, archiveHash: archived.hash };
+    }
+    // Archive lost the body; fetch again without validators
+    return fetchPage(url, kind, { ...options, replay: false, skipValidators: true }, info);
+  }
+
+  const html = typeof response.data === 'string' ? response.data : String(response.data);
 
-  const targetElement = subSelector ? element.find(subSelector).first() : element;
-  if (targetElement.length === 0) return '';
+  let archiveHash = null;
+  if (archiving) {
+    try {
+      archiveHash = await archivePage(url, html, {
+        ...info,
+        kind,
+        etag: response.etag,
+        last_modified: response.lastModified
+      });
+    } catch (error) {
+      console.log(`⚠️ Could not archive ${url}: ${error.message}`);
+    }
+  }
 
-  return targetElement.text().trim();
+  return { html, archiveHash };
 }
 
 /**
  * Visits the specific article link to get the full text and metadata.
+ * Author, dates, tags, section and lead image come from the page's JSON-LD /
+ * OpenGraph metadata first; the adapter's selectors are the fallback.
+ * @param {import('./sources/index.js').SourceAdapter} adapter - Source adapter
  * @param {string} articleUrl - URL of the article to scrape
- * @returns {Promise<{ full_body: string, artical_author_name: string|null, artical_published_date_time: string|null }|string>}
+ * @param {Object} options - Scrape options ({ replay })
+ * @param {string} listingUrl - Listing the article was found on (recorded in the archive index)
+ * @returns {Promise<{ headline: string|null, full_body: string, links: Array<{text: string, url: string}>, artical_author_name: string|null, artical_published_date_time: string|null, artical_modified_date_time: string|null, tags: Array<string>, section: string|null, lead_image: string|null, archive_hash: string|null }|null>}
+ *   null when the page is missing from the archive (replay) or has no recognisable content
+ * @throws {FetchError} When the page cannot be fetched
  */
-async function getArticleBody(articleUrl) {
-  try {
-    const response = await axios.get(articleUrl, {
-      headers: HEADERS,
-      timeout: parseInt(process.env.REQUEST_TIMEOUT_MS || '15000')
-    });
-
-    if (response.status !== 200) {
-      return 'Error: Could not fetch body';
-    }
-
-    const $ = cheerio.load(response.data);
+async function getArticleBody(adapter, articleUrl, options, listingUrl) {
+  const page = await fetchPage(articleUrl, 'article', options, { source: adapter.name, listing: listingUrl });
+  if (!page) {
+    return null;
+  }
 
-    // Moneycontrol article text is usually in a div with id="contentdata" or class="content_wrapper"
-    let articleDiv = $('#contentdata').first();
-    if (articleDiv.length === 0) {
-      articleDiv = $('.content_wrapper').first();
-    }
-    if (articleDiv.length === 0) {
-      articleDiv = $('.arti-flow').first();
-    }
+  const article = adapter.extractArticle(page.html, articleUrl);
+  if (!article) {
+    console.log(`⚠️ Content container not found: ${articleUrl}`);
+    return null;
+  }
 
-    // Extract article metadata using helper function
-    const articleAuthorStart = safeExtractText($, '.article_author', 'a');
+  const structured = extractStructuredMetadata(page.html);
+
+  return {
+    ...article,
+    headline: structured.headline,
+    links: article.links || [],
+    artical_author_name: structured.author || article.artical_author_name,
+    artical_published_date_time: structured.date_published || article.artical_published_date_time,
+    artical_modified_date_time: structured.date_modified || null,
+    tags: structured.keywords,
+    section: structured.section,
+    lead_image: structured.image,
+    archive_hash: page.archiveHash
+  };
+}
 
-    // Try alternate pattern from content_block
-    const contentBlockText = safeExtractText($, '.content_block');
-    let articleAuthorEnd = '';
-    if (contentBlockText) {
-      const words = contentBlockText.trim().split(/\s+/);
-      if (words.length >= 2) {
-        articleAuthorEnd = words.slice(0, 2).join(' ');
-      }
-      const match = contentBlockText.match(/^(.*?)\s+is\s+/);
-      if (match && match[1]) {
-        articleAuthorEnd = match[1].trim();
-      }
+/**
+ * Turn a listing item into a post by fetching (or reusing) its body.
+ * Official documents the body links to (PDFs, government pages) are fetched
+ * too and returned as post.documents, to be stored in post_documents.
+ *
+ * @param {import('./sources/index.js').SourceAdapter} adapter - Source adapter
+ * @param {import('./sources/index.js').ListingItem} item - Listing item
+ * @param {string} sourceId - Precomputed source_id
+ * @param {Object} listing - Listing page the item came from ({ url, archiveHash })
+ * @param {Object} options - Scrape options ({ replay })
+ * @returns {Promise<Object|null>} Post data, or null if the body could not be fetched
+ */
+async function scrapeArticle(adapter, item, sourceId, listing, options) {
+  const { title, url: link } = item;
+
+  let articleBody = {
+    headline: null,
+    full_body: item.content || '',
+    links: item.links || [],
+    artical_author_name: item.author || null,
+    artical_published_date_time: item.published_text || null,
+    artical_modified_date_time: null,
+    tags: item.categories || [],
+    section: null,
+    lead_image: null,
+    archive_hash: null
+  };
+
+  // Extract full body (deep dive) unless the listing already carries it
+  if (adapter.fetchArticleBody !== false) {
+    let fetchedBody = null;
+    try {
+      fetchedBody = await getArticleBody(adapter, link, options, listing.url);
+    } catch (error) {
+      if (!(error instanceof FetchError)) throw error;
+      console.log(`⚠️ Error fetching article body: ${error.message}`);
     }
 
-    const articlePublishedDateTimeStart = safeExtractText($, '.article_schedule');
-    const articlePublishedDateTimeEnd = safeExtractText($, '.tags_last_line');
-
-    if (articleDiv.length > 0) {
-      // Get all paragraphs and join them
-      const paragraphs = articleDiv.find('p');
-      const fullText = paragraphs
-        .map((i, elem) => $(elem).text().trim())
-        .get()
-        .filter(Boolean)
-        .join('\n');
-
-      return {
-        full_body: fullText,
-        artical_author_name: articleAuthorStart || articleAuthorEnd || null,
-        artical_published_date_time: articlePublishedDateTimeStart || articlePublishedDateTimeEnd || null
+    if (!fetchedBody) {
+      if (!articleBody.full_body) return null;
+    } else {
+      articleBody = {
+        headline: fetchedBody.headline,
+        full_body: fetchedBody.full_body || articleBody.full_body,
+        links: fetchedBody.links.length > 0 ? fetchedBody.links : articleBody.links,
+        artical_author_name: fetchedBody.artical_author_name || articleBody.artical_author_name,
+        artical_published_date_time: fetchedBody.artical_published_date_time || articleBody.artical_published_date_time,
+        artical_modified_date_time: fetchedBody.artical_modified_date_time,
+        tags: Array.from(new Set([...articleBody.tags, ...fetchedBody.tags])),
+        section: fetchedBody.section,
+        lead_image: fetchedBody.lead_image,
+        archive_hash: fetchedBody.archive_hash
       };
     }
+  }
 
-    return 'Error: Content div not found';
-  } catch (error) {
-    return `Error: ${error.message}`;
+  // Published and updated times are kept apart; an unparseable dateline leaves
+  // published_at null and flags the post instead of pretending it is "now"
+  const scrapedAt = new Date();
+  const dates = parseArticleDates(articleBody.artical_published_date_time, { now: scrapedAt });
+  const updatedAt = parseArticleDate(articleBody.artical_modified_date_time, { now: scrapedAt }) || dates.updated_at;
+  if (!dates.published_at) {
+    console.log(`⚠️ Unknown published date for ${link} (raw: ${articleBody.artical_published_date_time || 'none'})`);
   }
+
+  // Linked documents are not archived, so they are skipped when replaying
+  const documents = !isReplay(options) && process.env.FETCH_LINKED_DOCUMENTS !== 'false'
+    ? await fetchLinkedDocuments(articleBody.links, link)
+    : [];
+
+  // Map to our DB schema (posts table); documents go to post_documents
+  return {
+    source: adapter.name,
+    source_id: sourceId,
+    title: title || articleBody.headline || link,
+    content: articleBody.full_body || title || articleBody.headline || '',
+    url: link,
+    author: articleBody.artical_author_name || null,
+    published_at: dates.published_at,
+    source_updated_at: updatedAt,
+    published_at_unknown: dates.published_at === null,
+    metadata: {
+      category: adapter.mapCategory(listing.url),
+      tags: articleBody.tags,
+      section: articleBody.section,
+      lead_image: articleBody.lead_image,
+      links: articleBody.links,
+      raw_published_text: articleBody.artical_published_date_time || null,
+      raw_modified_text: articleBody.artical_modified_date_time,
+      scraped_from: listing.url,
+      scraped_at: scrapedAt.toISOString(),
+      archive: {
+        listing: listing.archiveHash,
+        article: articleBody.archive_hash
+      }
+    },
+    documents
+  };
 }
 
 /**
- * Core scraper that follows the reference logic and returns Moneycontrol posts
- * in the shape expected by the rest of the app / database.
+ * Core scraper: crawls one listing through the source adapter and returns
+ * new posts in the shape expected by the rest of the app / database.
  *
- * @param {string} targetUrl - Moneycontrol listing page URL
- * @param {number} maxArticles - Maximum number of articles to process
- * @returns {Promise<Array<Object>>}
+ * The listing is paged until the crawl reaches the listing's watermark (the
+ * newest article stored by an earlier run), a page with nothing new, or
+ * MAX_LISTING_PAGES. Articles that are already stored are skipped before
+ * their body is fetched. A listing without a watermark is crawled on its
+ * first page only, so the first run does not walk the whole archive.
+ *
+ * The watermark is not moved here: the caller advances it to
+ * `newestSourceId` once the posts are stored (see services/cron.js).
+ * `newestSourceId` is the newest item on the listing, whether scraped now or
+ * already stored, so a listing whose first page is all stored still gets a
+ * watermark (and is paged from then on). It is null when the crawl stopped
+ * short (maxArticles cap, page errors, articles that failed or had no body),
+ * so the next run walks down to the old watermark again and picks up what was
+ * skipped.
+ *
+ * In replay mode pages come from the raw archive, the watermark is ignored
+ * and stored articles are re-extracted rather than skipped.
+ *
+ * @param {import('./sources/index.js').SourceAdapter} adapter - Source adapter
+ * @param {string} targetUrl - Listing page URL
+ * @param {number} maxArticles - Maximum number of new articles to process (0 = no limit)
+ * @param {Object} [options] - Scrape options
+ * @param {boolean} [options.replay] - Read pages from the archive (default: SCRAPER_REPLAY env)
+ * @param {{found: number, errors: Array<{url: string, error: string}>}} [options.stats] - Filled with the
+ *   number of listing items seen and the page/article errors hit (for run history)
+ * @param {(post: Object) => void} [options.onArticle] - Called with each post as it is scraped
+ * @returns {Promise<{posts: Array<Object>, newestSourceId: string|null}>}
  */
-async function scrapeMoneycontrolFeed(targetUrl, maxArticles = 5) {
-  console.log(`📡 Fetching Moneycontrol feed: ${targetUrl}`);
-
-  try {
-    const response = await axios.get(targetUrl, {
-      headers: HEADERS,
-      timeout: parseInt(process.env.REQUEST_TIMEOUT_MS || '15000')
-    });
-
-    if (response.status !== 200) {
-      console.log(`Failed to fetch page: ${response.status}`);
-      return [];
-    }
-
-    const $ = cheerio.load(response.data);
+export async function scrapeListing(adapter, targetUrl, maxArticles = 0, options = {}) {
+  const replay = isReplay(options);
+  console.log(`📡 ${replay ? 'Replaying' : 'Fetching'} ${adapter.name} feed: ${targetUrl}`);
 
-    // The main list is usually inside a <ul> with id="cagetory" (Moneycontrol's typo)
-    const newsList = $('#cagetory');
+  const maxPages = parseInt(process.env.MAX_LISTING_PAGES || '10');
+  const watermark = replay ? null : await getWatermark(targetUrl);
+  const watermarkId = watermark ? watermark.last_seen_source_id : null;
+  const pageLimit = watermarkId || replay ? maxPages : 1;
 
-    if (newsList.length === 0) {
-      console.log('Could not find the news list container. Structure may have changed.');
-      return [];
-    }
-
-    // Get all list items (li) with class 'clearfix'
-    const articles = newsList.find('li.clearfix');
+  const stats = options.stats || { found: 0, errors: [] };
+  const posts = [];
+  let newestSourceId = null;
+  let complete = true;
+  let pageUrl = targetUrl;
 
-    const posts = [];
+  try {
+    for (let page = 1; pageUrl && page <= pageLimit; page++) {
+      const listingPage = await fetchPage(pageUrl, 'listing', options);
+      if (!listingPage) break;
 
-    console.log(`Found ${articles.length} articles. Processing (max ${maxArticles})...`);
+      const { html } = listingPage;
+      const articles = adapter.parseListing(html, targetUrl);
+      const sourceIds = articles.map(item => adapter.getSourceId(item.url, item));
+      const existing = replay ? new Set() : await getExistingSourceIds(sourceIds);
+      stats.found += articles.length;
 
-    const articlesToProcess = articles.slice(0, maxArticles);
+      console.log(`Page ${page}: found ${articles.length} articles (${existing.size} already stored).`);
 
-    for (let i = 0; i < articlesToProcess.length; i++) {
-      try {
-        const item = $(articlesToProcess[i]);
+      let reachedWatermark = false;
+      let newOnPage = 0;
 
-        // 1. Extract basic metadata
-        const h2Tag = item.find('h2').first();
-        if (h2Tag.length === 0) continue;
+      for (let i = 0; i < articles.length; i++) {
+        const item = articles[i];
+        const sourceId = sourceIds[i];
 
-        // If the article is premium, skip it
-        const spanTag = h2Tag.find('span').first();
-        if (spanTag.length > 0) {
-          const spanClasses = spanTag.attr('class');
-          if (spanClasses && spanClasses.split(' ').includes('isPremiumCrown')) {
-            continue;
-          }
+        if (sourceId === watermarkId) reachedWatermark = true;
+        if (existing.has(sourceId)) {
+          if (!newestSourceId) newestSourceId = sourceId;
+          continue;
         }
-
-        const aTag = h2Tag.find('a').first();
-        const title = aTag.text().trim();
-        let link = aTag.attr('href');
-
-        if (!title || !link) continue;
-
-        // Normalize to absolute URL
-        if (!link.startsWith('http')) {
-          link = `https://www.moneycontrol.com${link}`;
+        // Past the watermark, but not stored: older than anything this listing tracks
+        if (reachedWatermark) break;
+        if (maxArticles > 0 && posts.length >= maxArticles) {
+          complete = false;
+          break;
         }
 
-        // 2. Extract full body (deep dive)
-        await sleep(parseInt(process.env.SCRAPING_DELAY_MS || '1000')); // be polite to the server
-        const articleBody = await getArticleBody(link);
+        newOnPage++;
+        try {
+          const postData = await scrapeArticle(
+            adapter,
+            item,
+            sourceId,
+            { url: targetUrl, archiveHash: listingPage.archiveHash },
+            options
+          );
+          if (!postData) {
+            // No body: not stored, so the watermark must not move past it
+            complete = false;
+            continue;
+          }
 
-        if (typeof articleBody === 'string') {
-          console.log(`⚠️ Error fetching article body: ${articleBody}`);
+          if (!newestSourceId) newestSourceId = sourceId;
+          posts.push(postData);
+          console.log(`✅ Scraped ${adapter.name} article: ${item.title.substring(0, 60)}...`);
+          if (options.onArticle) options.onArticle(postData);
+        } catch (error) {
+          console.log(`⚠️ Error processing item: ${error.message}`);
+          stats.errors.push({ url: item.url, error: error.message });
+          complete = false;
           continue;
         }
+      }
 
-        const publishedAtDate = parseMoneycontrolDate(articleBody.artical_published_date_time || '');
-
-        // Extract category from URL
-        let category = 'general';
-        if (targetUrl.includes('personal-finance')) category = 'personal-finance';
-        else if (targetUrl.includes('banking')) category = 'banking';
-        else if (targetUrl.includes('/india/')) category = 'india';
-        else if (targetUrl.includes('city')) category = 'city';
-        else if (targetUrl.includes('world')) category = 'world';
-        else if (targetUrl.includes('politics')) category = 'politics';
-        else if (targetUrl.includes('defence')) category = 'defence';
-        else if (targetUrl.includes('economy')) category = 'economy';
-
-        // 3. Map to our DB schema (posts table)
-        const postData = {
-          source: 'moneycontrol',
-          source_id: `moneycontrol_${link.split('/').filter(Boolean).pop()}`,
-          title: title,
-          content: articleBody.full_body || title,
-          url: link,
-          author: articleBody.artical_author_name || null,
-          published_at: publishedAtDate,
-          metadata: {
-            category: category,
-            raw_published_text: articleBody.artical_published_date_time || null,
-            scraped_from: targetUrl,
-            scraped_at: new Date().toISOString()
-          }
-        };
+      if (reachedWatermark || newOnPage === 0) break;
+      if (maxArticles > 0 && posts.length >= maxArticles) break;
 
-        posts.push(postData);
-        console.log(`✅ Scraped Moneycontrol article: ${title.substring(0, 60)}...`);
-      } catch (error) {
-        console.log(`⚠️ Error processing item: ${error.message}`);
-        continue;
-      }
+      pageUrl = adapter.getNextPageUrl ? adapter.getNextPageUrl(html, targetUrl, page) : null;
     }
-
-    console.log(`Finished Moneycontrol scraping. Collected ${posts.length} posts.`);
-    return posts;
   } catch (error) {
     console.log(`⚠️ Error fetching feed: ${error.message}`);
-    return [];
+    stats.errors.push({ url: pageUrl, error: error.message });
+    complete = false;
   }
+
+  console.log(`Finished ${adapter.name} scraping. Collected ${posts.length} new posts.`);
+  return { posts, newestSourceId: complete && !replay ? newestSourceId : null };
 }
 
 /**
- * Scrape all MoneyControl URLs
- * @param {number} maxArticlesPerURL - Maximum articles to fetch per URL
- * @returns {Promise<Array<Object>>}
+ * Re-extract the archived article pages of a source, including articles that
+ * have rolled off its listings. Pages come from the archive only. An article
+ * belongs to the source when its index entry names it, or (pages archived
+ * before entries recorded their source) when it is on the host of one of the
+ * source's listings.
+ * @param {import('./sources/index.js').SourceAdapter} adapter - Source adapter
+ * @param {Object} [options]
+ * @param {Set<string>} [options.exclude] - source_ids already re-extracted from a listing
+ * @param {{found: number, errors: Array<{url: string, error: string}>}} [options.stats] - Filled like scrapeListing's
+ * @returns {Promise<Array<Object>>} Posts
  */
-export async function scrapeAllMoneyControl(maxArticlesPerURL = 5) {
-  const allPosts = [];
-  
-  for (const url of MONEYCONTROL_URLS) {
+export async function replayArchivedArticles(adapter, { exclude = new Set(), stats = { found: 0, errors: [] } } = {}) {
+  const hostOf = url => {
     try {
-      const posts = await scrapeMoneycontrolFeed(url, maxArticlesPerURL);
-      allPosts.push(...posts);
-      // Add delay between different URLs
-      await sleep(2000);
+      return new URL(url).hostname;
+    } catch {
+      return null;
+    }
+  };
+  const hosts = new Set(adapter.listingUrls.map(hostOf));
+  const posts = [];
+
+  for (const entry of await listArchiveEntries('article')) {
+    if (entry.source ? entry.source !== adapter.name : !hosts.has(hostOf(entry.url))) continue;
+
+    const item = { title: '', url: entry.url };
+    const sourceId = adapter.getSourceId(entry.url, item);
+    if (exclude.has(sourceId)) continue;
+    stats.found++;
+
+    try {
+      const listingUrl = entry.listing || adapter.listingUrls[0];
+      const post = await scrapeArticle(adapter, item, sourceId, { url: listingUrl, archiveHash: null }, { replay: true });
+      if (post) posts.push(post);
     } catch (error) {
-      console.error(`Error scraping ${url}:`, error.message);
-      continue;
+      console.log(`⚠️ Error re-extracting ${entry.url}: ${error.message}`);
+      stats.errors.push({ url: entry.url, error: error.message });
     }
   }
-  
-  return allPosts;
+
+  return posts;
 }
 
 /**
  * Scrape a single MoneyControl URL
  * @param {string} url - URL to scrape
- * @param {number} maxArticles - Maximum articles to fetch
+ * @param {number} maxArticles - Maximum new articles to fetch (0 = no limit)
+ * @param {Object} [options] - Scrape options ({ replay })
  * @returns {Promise<Array<Object>>}
  */
-export async function scrapeMoneyControlURL(url, maxArticles = 5) {
-  return scrapeMoneycontrolFeed(url, maxArticles);
+export async function scrapeMoneyControlURL(url, maxArticles = 0, options = {}) {
+  const { posts } = await scrapeListing(getSourceAdapter('moneycontrol'), url, maxArticles, options);
+  return posts;
 }
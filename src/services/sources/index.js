@@ -0,0 +1,112 @@
+import moneycontrolAdapter from './moneycontrol.js';
+import { createFeedAdapter } from './feed.js';
+
+/**
+ * A source adapter encapsulates everything the scraper needs to know about
+ * one news outlet. The scraper fetches pages; adapters only parse them.
+ *
+ * @typedef {Object} ListingItem
+ * @property {string} title - Article title
+ * @property {string} url - Absolute article URL
+ * @property {string} [guid] - Feed guid, when the listing provides one
+ * @property {string|null} [author] - Author, when the listing provides one
+ * @property {string|null} [published_text] - Raw published date text, when the listing provides one
+ * @property {string} [content] - Body or summary as Markdown, when the listing provides one
+ * @property {Array<{text: string, url: string}>} [links] - Hyperlinks found in content
+ * @property {Array<string>} [categories] - Listing-level tags
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Value stored in posts.source
+ * @property {Array<string>} listingUrls - Listing pages to crawl
+ * @property {boolean} [fetchArticleBody=true] - Whether to visit each article page; when false the
+ *   listing item content is used as the body
+ * @property {(html: string, listingUrl: string) => Array<ListingItem>} parseListing
+ *   Turn a listing page into article links (newest first)
+ * @property {(html: string, listingUrl: string, pageNumber: number) => (string|null)} [getNextPageUrl]
+ *   URL of the listing page after pageNumber, or null when there is none
+ * @property {(html: string, articleUrl: string) => ({ full_body: string, links: Array<{text: string, url: string}>, artical_author_name: string|null, artical_published_date_time: string|null }|null)} extractArticle
+ *   Pull the body (as Markdown, see utils/htmlToMarkdown.js), its links and metadata out of an
+ *   article page (null if the page is unusable)
+ * @property {(articleUrl: string, item: ListingItem) => string} getSourceId - Stable unique id for posts.source_id
+ * @property {(listingUrl: string) => string} mapCategory - Category stored in post metadata
+ */
+
+const REQUIRED_KEYS = ['name', 'listingUrls', 'parseListing', 'extractArticle', 'getSourceId', 'mapCategory'];
+
+const adapters = new Map();
+
+/**
+ * Register a source adapter
+ * @param {SourceAdapter} adapter
+ */
+export function registerSourceAdapter(adapter) {
+  const missing = REQUIRED_KEYS.filter(key => adapter[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Source adapter "${adapter.name || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Source adapter "${adapter.name}" is already registered`);
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Get a registered adapter by name
+ * @param {string} name
+ * @returns {SourceAdapter|null}
+ */
+export function getSourceAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+/**
+ * Build the adapter for a source row from the `sources` table.
+ *
+ * Sources with adapter "feed" become a feed adapter over their listings, with
+ * `config` passed through (fetchFullText, contentSelector). Any other adapter
+ * value names a registered code adapter; it is reused with the source's
+ * listing URLs, and a listing's category overrides the adapter's mapping.
+ *
+ * @param {Object} source - Source row ({ name, adapter, config })
+ * @param {Array<{url: string, category?: string|null}>} listings - Listings to crawl
+ * @returns {SourceAdapter}
+ */
+export function buildSourceAdapter(source, listings) {
+  const config = source.config || {};
+
+  if (source.adapter === 'feed') {
+    return createFeedAdapter({
+      ...config,
+      name: source.name,
+      feeds: listings.map(listing => ({ url: listing.url, category: listing.category || undefined }))
+    });
+  }
+
+  const base = getSourceAdapter(source.adapter);
+  if (!base) {
+    throw new Error(`Unknown source adapter "${source.adapter}" for source "${source.name}"`);
+  }
+
+  const categories = new Map(
+    listings.filter(listing => listing.category).map(listing => [listing.url, listing.category])
+  );
+
+  return {
+    ...base,
+    name: source.name,
+    listingUrls: listings.map(listing => listing.url),
+    mapCategory(listingUrl) {
+      return categories.get(listingUrl) || base.mapCategory(listingUrl);
+    }
+  };
+}
+
+/**
+ * Names of the adapters a source row may use ("feed" plus registered code adapters)
+ * @returns {Array<string>}
+ */
+export function getAdapterNames() {
+  return ['feed', ...adapters.keys()];
+}
+
+registerSourceAdapter(moneycontrolAdapter);
@@ -0,0 +1,189 @@
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown } from '../../utils/htmlToMarkdown.js';
+
+const baseUrl = 'https://www.moneycontrol.com';
+
+/**
+ * Safely extracts text from a cheerio element
+ * Returns empty string if element is not found
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {string} selector - CSS selector string
+ * @param {string|null} subSelector - Optional sub-selector to find within the matched element
+ * @returns {string} Extracted text or empty string
+ */
+function safeExtractText($, selector, subSelector = null) {
+  const element = $(selector).first();
+  if (element.length === 0) return '';
+
+  const targetElement = subSelector ? element.find(subSelector).first() : element;
+  if (targetElement.length === 0) return '';
+
+  return targetElement.text().trim();
+}
+
+/**
+ * Parse a MoneyControl listing page into article links.
+ * Premium (crown) articles are skipped since their body is paywalled.
+ * @param {string} html - Listing page HTML
+ * @returns {Array<{title: string, url: string}>}
+ */
+function parseListing(html) {
+  const $ = cheerio.load(html);
+
+  // The main list is usually inside a <ul> with id="cagetory" (Moneycontrol's typo)
+  const newsList = $('#cagetory');
+
+  if (newsList.length === 0) {
+    console.log('Could not find the news list container. Structure may have changed.');
+    return [];
+  }
+
+  const items = [];
+
+  // Get all list items (li) with class 'clearfix'
+  newsList.find('li.clearfix').each((i, elem) => {
+    const item = $(elem);
+
+    const h2Tag = item.find('h2').first();
+    if (h2Tag.length === 0) return;
+
+    // If the article is premium, skip it
+    const spanTag = h2Tag.find('span').first();
+    if (spanTag.length > 0) {
+      const spanClasses = spanTag.attr('class');
+      if (spanClasses && spanClasses.split(' ').includes('isPremiumCrown')) {
+        return;
+      }
+    }
+
+    const aTag = h2Tag.find('a').first();
+    const title = aTag.text().trim();
+    let link = aTag.attr('href');
+
+    if (!title || !link) return;
+
+    // Normalize to absolute URL
+    if (!link.startsWith('http')) {
+      link = `${baseUrl}${link}`;
+    }
+
+    items.push({ title, url: link });
+  });
+
+  return items;
+}
+
+/**
+ * Find the URL of the next listing page. MoneyControl paginates listings as
+ * <listing>/page-N/, linked from the pagination block at the bottom.
+ * @param {string} html - Current listing page HTML
+ * @param {string} listingUrl - First page of the listing
+ * @param {number} pageNumber - Current page number (1-based)
+ * @returns {string|null}
+ */
+function getNextPageUrl(html, listingUrl, pageNumber) {
+  const $ = cheerio.load(html);
+
+  let next = $('link[rel="next"]').attr('href') || $('a[rel="next"]').attr('href');
+  if (!next) {
+    const nextPage = `page-${pageNumber + 1}`;
+    next = $('.pagenation a, .pagination a')
+      .map((i, elem) => $(elem).attr('href'))
+      .get()
+      .find(href => href && href.includes(nextPage));
+  }
+  if (!next) return null;
+
+  return next.startsWith('http') ? next : `${baseUrl}${next}`;
+}
+
+/**
+ * Extract the full text (as Markdown) and metadata from a MoneyControl article page.
+ * @param {string} html - Article page HTML
+ * @param {string} articleUrl - Article URL (used to resolve relative links)
+ * @returns {{ full_body: string, links: Array<{text: string, url: string}>, artical_author_name: string|null, artical_published_date_time: string|null }|null}
+ *   null when the content container could not be found
+ */
+function extractArticle(html, articleUrl) {
+  const $ = cheerio.load(html);
+
+  // Moneycontrol article text is usually in a div with id="contentdata" or class="content_wrapper"
+  const contentSelector = ['#contentdata', '.content_wrapper', '.arti-flow']
+    .find(selector => $(selector).length > 0);
+
+  if (!contentSelector) {
+    return null;
+  }
+
+  // Extract article metadata using helper function
+  const articleAuthorStart = safeExtractText($, '.article_author', 'a');
+
+  // Try alternate pattern from content_block
+  const contentBlockText = safeExtractText($, '.content_block');
+  let articleAuthorEnd = '';
+  if (contentBlockText) {
+    const words = contentBlockText.trim().split(/\s+/);
+    if (words.length >= 2) {
+      articleAuthorEnd = words.slice(0, 2).join(' ');
+    }
+    const match = contentBlockText.match(/^(.*?)\s+is\s+/);
+    if (match && match[1]) {
+      articleAuthorEnd = match[1].trim();
+    }
+  }
+
+  const articlePublishedDateTimeStart = safeExtractText($, '.article_schedule');
+  const articlePublishedDateTimeEnd = safeExtractText($, '.tags_last_line');
+
+  const { markdown, links } = htmlToMarkdown(html, { selector: contentSelector, baseUrl: articleUrl });
+
+  return {
+    full_body: markdown,
+    links,
+    artical_author_name: articleAuthorStart || articleAuthorEnd || null,
+    artical_published_date_time: articlePublishedDateTimeStart || articlePublishedDateTimeEnd || null
+  };
+}
+
+/**
+ * Derive a stable source_id from the article URL slug
+ * @param {string} articleUrl
+ * @returns {string}
+ */
+function getSourceId(articleUrl) {
+  return `moneycontrol_${articleUrl.split('/').filter(Boolean).pop()}`;
+}
+
+/**
+ * Map a listing URL to the category stored in post metadata
+ * @param {string} listingUrl
+ * @returns {string}
+ */
+function mapCategory(listingUrl) {
+  if (listingUrl.includes('personal-finance')) return 'personal-finance';
+  if (listingUrl.includes('banking')) return 'banking';
+  if (listingUrl.includes('/india/')) return 'india';
+  if (listingUrl.includes('city')) return 'city';
+  if (listingUrl.includes('world')) return 'world';
+  if (listingUrl.includes('politics')) return 'politics';
+  if (listingUrl.includes('defence')) return 'defence';
+  if (listingUrl.includes('economy')) return 'economy';
+  return 'general';
+}
+
+/**
+ * MoneyControl source adapter. Listing URLs are managed in the `sources` table
+ * (see buildSourceAdapter), so the registered adapter has none of its own.
+ * @type {import('./index.js').SourceAdapter}
+ */
+const moneycontrolAdapter = {
+  name: 'moneycontrol',
+  listingUrls: [],
+  parseListing,
+  getNextPageUrl,
+  extractArticle,
+  getSourceId,
+  mapCategory
+};
+
+export default moneycontrolAdapter;
@@ -0,0 +1,38 @@
+/**
+ * Map step of map-reduce over long articles: condense one part of an article
+ * into notes that keep what the classifier and the Q&A explainer need.
+ */
+export const CHUNK_NOTES_PROMPT = `You are condensing one part of a long news article or policy document so that it can be analysed without the full text.
+
+Article title: {title}
+This is part {part} of {total}.
+
+Write notes on this part in at most {maxWords} words. Keep:
+- names of schemes, acts, bills, rules, portals, ministries and regulators
+- numbers exactly as written: amounts, rates, dates, deadlines, thresholds, counts
+- who is affected, who is eligible, what changes for them and what they must do
+- which official documents (notifications, circulars, gazette releases) are cited
+Leave out background that does not affect citizens, repetition and opinions. Do not add anything that is not in the text.
+Output only the notes, as short plain sentences or "- " bullet points.
+
+Part text:
+{text}`;
+
+/**
+ * Format the chunk notes prompt
+ * @param {Object} input
+ * @param {string} input.title - Article title
+ * @param {number} input.part - 1-based chunk number
+ * @param {number} input.total - Number of chunks
+ * @param {string} input.text - Chunk text
+ * @param {number} input.maxWords - Word budget for the notes
+ * @returns {string}
+ */
+export function formatChunkNotesPrompt({ title, part, total, text, maxWords }) {
+  return CHUNK_NOTES_PROMPT
+    .replace('{title}', () => title || 'Untitled')
+    .replace('{part}', String(part))
+    .replace('{total}', String(total))
+    .replace('{maxWords}', String(maxWords))
+    .replace('{text}', () => text);
+}
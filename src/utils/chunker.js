@@ -0,0 +1,73 @@
+// Target chunk size. ~2000 characters is ~500 tokens, well inside every embedding model's window
+export const CHUNK_MAX_CHARS = parseInt(process.env.CHUNK_MAX_CHARS || '2000');
+
+/**
+ * Split text that is longer than maxChars on sentence ends, and hard-split any
+ * sentence that is still too long
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {Array<string>}
+ */
+function splitLongParagraph(text, maxChars) {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (sentence.length > maxChars) {
+      if (current.trim()) pieces.push(current.trim());
+      current = '';
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars).trim());
+      }
+      continue;
+    }
+    if (current.length + sentence.length > maxChars && current.trim()) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) pieces.push(current.trim());
+
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Split article text into chunks on paragraph boundaries. Paragraphs are
+ * packed together up to maxChars; a paragraph longer than that is split on
+ * sentence boundaries. Chunks do not overlap.
+ * @param {string} text - Article text (markdown / plain text, paragraphs separated by blank lines)
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=CHUNK_MAX_CHARS] - Maximum characters per chunk
+ * @returns {Array<{index: number, content: string}>} Chunks in reading order (empty for empty text)
+ */
+export function chunkText(text, { maxChars = CHUNK_MAX_CHARS } = {}) {
+  const paragraphs = (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length > maxChars) {
+      flush();
+      chunks.push(...splitLongParagraph(paragraph, maxChars));
+      continue;
+    }
+    if (current && current.length + 2 + paragraph.length > maxChars) {
+      flush();
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  flush();
+
+  return chunks.map((content, index) => ({ index, content }));
+}
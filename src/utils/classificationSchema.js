@@ -0,0 +1,167 @@
+/**
+ * Schema for the classifier's JSON response. The model output is validated
+ * against it before anything is stored; see services/classifier.js for the
+ * repair loop that runs when validation fails.
+ */
+
+// The six content pillars of CLASSIFICATION_PROMPT, in the spelling stored in the database
+export const CONTENT_PILLARS = [
+  'SCHEMES',
+  'TOOLS',
+  'CURRENT AFFAIRS IN INDIA',
+  'INDIA AND THE WORLD',
+  'RULES, ACTS, BILLS',
+  'CASE STUDIES'
+];
+
+// Spellings models commonly produce, keyed by their normalized form
+const PILLAR_ALIASES = {
+  'SCHEME': 'SCHEMES',
+  'GOVERNMENT SCHEMES': 'SCHEMES',
+  'GOVERNMENT SCHEME': 'SCHEMES',
+  'TOOL': 'TOOLS',
+  'GOVERNMENT TOOLS': 'TOOLS',
+  'CURRENT AFFAIRS': 'CURRENT AFFAIRS IN INDIA',
+  'INDIA & THE WORLD': 'INDIA AND THE WORLD',
+  'INDIA AND WORLD': 'INDIA AND THE WORLD',
+  'RULES ACTS BILLS': 'RULES, ACTS, BILLS',
+  'RULES ACTS AND BILLS': 'RULES, ACTS, BILLS',
+  'RULES/ACTS/BILLS': 'RULES, ACTS, BILLS',
+  'CASE STUDY': 'CASE STUDIES'
+};
+
+// Real-world impact criteria of CLASSIFICATION_PROMPT
+export const IMPACT_DIMENSIONS = ['money', 'eligibility', 'rights', 'penalties', 'access', 'compliance'];
+
+// Source credibility weights of CLASSIFICATION_PROMPT, highest first
+export const CREDIBILITY_TIERS = ['official', 'media_citing_official', 'unverified'];
+
+const MAX_REASONING_LENGTH = 1000;
+const MAX_POLICY_ANCHOR_LENGTH = 300;
+
+/**
+ * Pillar name reduced to letters, e.g. "RULES, ACTS & BILLS" -> "RULES ACTS BILLS"
+ * @param {string} value - Upper-cased pillar
+ * @returns {string}
+ */
+function looseKey(value) {
+  return value.replace(/[^A-Z ]/g, ' ').replace(/\bAND\b/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Map a pillar as written by a model to one of CONTENT_PILLARS
+ * @param {string} value - e.g. "Schemes", "Government Schemes", "rules, acts, bills"
+ * @returns {string|null} Canonical pillar, or null when it is not one of the six
+ */
+export function normalizePillar(value) {
+  if (typeof value !== 'string') return null;
+
+  const key = value.trim().toUpperCase().replace(/\s+/g, ' ');
+  if (CONTENT_PILLARS.includes(key)) return key;
+  if (PILLAR_ALIASES[key]) return PILLAR_ALIASES[key];
+
+  // "Rules, Acts & Bills", "Rules; Acts; Bills"
+  const loose = looseKey(key);
+  return CONTENT_PILLARS.find(pillar => looseKey(pillar) === loose) || PILLAR_ALIASES[loose] || null;
+}
+
+/**
+ * Validate a parsed classifier response
+ * @param {*} raw - Parsed JSON from the model
+ * @returns {{ value: {is_interesting: boolean, confidence: number, reasoning: string, content_pillars: Array<string>, content_pillar: string|null, impact_dimensions: Array<string>, source_credibility: string, policy_anchor: string|null}|null, errors: Array<string> }}
+ *   value is null when errors is non-empty; content_pillar is the top-ranked pillar
+ */
+export function validateClassification(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['response must be a JSON object'] };
+  }
+
+  const {
+    is_interesting,
+    confidence,
+    reasoning,
+    content_pillars,
+    impact_dimensions,
+    source_credibility,
+    policy_anchor
+  } = raw;
+
+  if (typeof is_interesting !== 'boolean') {
+    errors.push('"is_interesting" must be true or false');
+  }
+
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    errors.push('"confidence" must be a number between 0 and 1');
+  }
+
+  if (typeof reasoning !== 'string' || reasoning.trim().length === 0) {
+    errors.push('"reasoning" must be a non-empty string');
+  } else if (reasoning.length > MAX_REASONING_LENGTH) {
+    errors.push(`"reasoning" must be at most ${MAX_REASONING_LENGTH} characters`);
+  }
+
+  const pillars = [];
+  if (!Array.isArray(content_pillars)) {
+    errors.push('"content_pillars" must be an array (empty if none apply)');
+  } else {
+    for (const value of content_pillars) {
+      const pillar = normalizePillar(value);
+      if (!pillar) {
+        errors.push(`"content_pillars" may only contain ${CONTENT_PILLARS.map(p => `"${p}"`).join(', ')} (got ${JSON.stringify(value)})`);
+      } else if (!pillars.includes(pillar)) {
+        pillars.push(pillar);
+      }
+    }
+    if (is_interesting === true && content_pillars.length === 0) {
+      errors.push('"content_pillars" must list at least one pillar when "is_interesting" is true');
+    }
+  }
+
+  const impacts = [];
+  if (!Array.isArray(impact_dimensions)) {
+    errors.push('"impact_dimensions" must be an array (empty if none apply)');
+  } else {
+    for (const value of impact_dimensions) {
+      const impact = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!IMPACT_DIMENSIONS.includes(impact)) {
+        errors.push(`"impact_dimensions" may only contain ${IMPACT_DIMENSIONS.map(d => `"${d}"`).join(', ')} (got ${JSON.stringify(value)})`);
+      } else if (!impacts.includes(impact)) {
+        impacts.push(impact);
+      }
+    }
+  }
+
+  const credibility = typeof source_credibility === 'string' ? source_credibility.trim().toLowerCase() : source_credibility;
+  if (!CREDIBILITY_TIERS.includes(credibility)) {
+    errors.push(`"source_credibility" must be one of ${CREDIBILITY_TIERS.map(t => `"${t}"`).join(', ')}`);
+  }
+
+  let anchor = null;
+  if (policy_anchor !== null && policy_anchor !== undefined && policy_anchor !== '') {
+    if (typeof policy_anchor !== 'string') {
+      errors.push('"policy_anchor" must be a string or null');
+    } else if (policy_anchor.length > MAX_POLICY_ANCHOR_LENGTH) {
+      errors.push(`"policy_anchor" must be at most ${MAX_POLICY_ANCHOR_LENGTH} characters`);
+    } else {
+      anchor = policy_anchor.trim();
+    }
+  }
+
+  if (errors.length > 0) return { value: null, errors };
+
+  return {
+    value: {
+      is_interesting,
+      confidence,
+      reasoning: reasoning.trim(),
+      content_pillars: pillars,
+      content_pillar: pillars[0] || null,
+      impact_dimensions: impacts,
+      source_credibility: credibility,
+      policy_anchor: anchor
+    },
+    errors
+  };
+}
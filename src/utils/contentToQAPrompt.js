@@ -1,3 +1,12 @@
+import { formatDocumentsForPrompt } from './documentPrompt.js';
+
+/**
+ * Version of CONTENT_TO_QA_PROMPT, the built-in prompt used while no stored
+ * template is active (see services/prompts.js). Stored with every explainer it
+ * produces (posts.qa_prompt_version); bump it whenever the prompt text changes.
+ */
+export const QA_PROMPT_VERSION = 'v2';
+
 /**
  * Prompt for converting raw article/post content into a public-facing Q&A / tabular explainer format.
  * Used by the content transformer service before storing posts in the database.
@@ -24,7 +33,7 @@ Avoid jargon wherever possible. If unavoidable, explain it immediately using a s
 Maintain a conversational and human tone.
 Make the content data-rich: clearly surface numbers, dates, comparisons, and concrete facts.
 Use:
-Tables where comparisons, timelines, benefits, costs, or statistics are easier to scan.
+Tables where comparisons, timelines, benefits, costs, or statistics are easier to scan (put them in the answer's "tables").
 Short lists for conditions, impacts, eligibility, or options.
 Use paragraphs for explanations and context. Mix formats intelligently to maximize clarity.
 
@@ -39,7 +48,7 @@ What has changed
 Risks or implications
 What happens next
 Group related questions into clearly labeled sections.
-Section headers should be specific and meaningful.
+Section titles should be specific and meaningful.
 The flow should feel progressive and intuitive, without abrupt jumps.
 
 Completeness
@@ -50,9 +59,9 @@ Clearly label information that is reported, interpreted, or not officially confi
 
 Sources
 
-At the end of each answer, include source links exactly as provided.
+List the source links of each answer in its "sources", exactly as provided.
 If multiple sources apply, list all of them.
-For PDF sources, include the page number along with the link.
+For PDF sources, give the page number along with the link.
 Sources must directly support the claims made in the answer.
 
 Output Expectation
@@ -77,22 +86,79 @@ Raw article content to convert:
 
 ---
 
-Convert the above content into the Q&A explainer format. Output only the finished Q&A explainer (no preamble or meta-commentary).`;
+Linked official documents (cite as "<Source URL> (page N)" for PDFs):
+
+{documents}
+
+---
+
+Convert the above content into the Q&A explainer. Respond with the finished explainer as a single JSON object in the required format (no preamble or meta-commentary).`;
+
+/**
+ * Output format of the transform task. Sent as part of the system message, so
+ * every prompt version (built-in or stored) gets structured output; validated by
+ * utils/explainerSchema.js and rendered to markdown by renderExplainerMarkdown.
+ */
+export const EXPLAINER_FORMAT = `Respond with a single JSON object, no additional text:
+{
+  "summary": "One or two plain sentences introducing the topic (may be empty)",
+  "sections": [
+    {
+      "title": "Specific section title",
+      "items": [
+        {
+          "question": "A question a reader would ask",
+          "answer": "Plain text. Separate paragraphs with a blank line; a list may use lines starting with \\"- \\". No markdown headings or tables.",
+          "tables": [
+            { "caption": "What the table shows (or null)", "columns": ["Column", "Column"], "rows": [["Cell", "Cell"]] }
+          ],
+          "sources": [
+            { "url": "Source URL exactly as provided", "page": null }
+          ]
+        }
+      ]
+    }
+  ]
+}
+"tables" and "sources" may be empty arrays. Every row has one cell per column. "page" is the PDF page number, or null.`;
 
 /**
  * Format the Q&A conversion prompt with article data.
- * @param {Object} article - { title, content, url }
+ * @param {Object} article - { title, content, url, documents? }
+ * @param {string} [template] - Prompt template (default: CONTENT_TO_QA_PROMPT; see services/prompts.js)
  * @returns {string}
  */
-export function formatContentToQAPrompt(article) {
+export function formatContentToQAPrompt(article, template = CONTENT_TO_QA_PROMPT) {
   const title = article.title || 'Untitled';
   const url = article.url || '';
   const content = (article.content || '').trim();
   if (!content) {
     throw new Error('Article content is empty; cannot convert to Q&A.');
   }
-  return CONTENT_TO_QA_PROMPT
+  return template
     .replace(/{title}/g, title)
     .replace(/{url}/g, url)
+    .replace(/{documents}/g, () => formatDocumentsForPrompt(article.documents, 6000))
     .replace(/{content}/g, content);
 }
+
+/**
+ * Follow-up message asking the model to rewrite an explainer that dropped facts
+ * from the article (see services/contentTransformer.js)
+ * @param {Array<{type: string, text: string}>} missing - Facts not found in the explainer
+ * @param {number} [maxListed=40] - Facts listed in the message
+ * @returns {string}
+ */
+export function formatMissingFactsPrompt(missing, maxListed = 40) {
+  const listed = missing.slice(0, maxListed).map(fact => `- ${fact.text} (${fact.type})`);
+  if (missing.length > maxListed) {
+    listed.push(`- ...and ${missing.length - maxListed} more`);
+  }
+  return [
+    'Your explainer leaves out these facts from the source article:',
+    '',
+    ...listed,
+    '',
+    'Rewrite the complete Q&A explainer so that every one of them appears, written exactly as in the article (same figures, units and dates). Keep everything else. Respond with ONLY the JSON object in the required format.'
+  ].join('\n');
+}
@@ -1,28 +1,261 @@
+// Indian sources publish in IST; strings without an explicit zone are read as IST
+const DEFAULT_OFFSET_MINUTES = 330;
+
+const ZONE_OFFSETS = {
+  ist: 330,
+  gmt: 0,
+  utc: 0,
+  z: 0
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const RELATIVE_UNITS_MS = {
+  sec: 1000,
+  min: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// "Published: ..." / "Updated: ..." style labels that split a dateline into parts
+const LABEL_PATTERN = /\b(first published|published|posted|last updated|updated|modified)\b\s*(?:on|at)?\s*:?/gi;
+
+/**
+ * Month index from a (possibly abbreviated) English month name
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function monthIndex(name) {
+  return MONTHS[name.toLowerCase().slice(0, 3)];
+}
+
+/**
+ * Build a UTC Date from wall-clock parts in a zone; null if the parts are not a real date
+ * @returns {Date|null}
+ */
+function fromParts(year, month, day, hour, minute, second, offsetMinutes) {
+  if (month === undefined || month < 0 || month > 11 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  const ms = Date.UTC(year, month, day, hour, minute, second);
+  // Reject roll-overs such as February 30
+  if (new Date(ms).getUTCDate() !== day) return null;
+  return new Date(ms - offsetMinutes * 60 * 1000);
+}
+
+/**
+ * Wall-clock calendar date of an instant in a zone
+ * @param {Date} date
+ * @param {number} offsetMinutes
+ * @returns {{year: number, month: number, day: number}}
+ */
+function calendarDateIn(date, offsetMinutes) {
+  const shifted = new Date(date.getTime() + offsetMinutes * 60 * 1000);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate() };
+}
+
+/**
+ * Pull a time of day out of a string
+ * @param {string} text
+ * @returns {{hour: number, minute: number, second: number, rest: string}|null}
+ */
+function extractTime(text) {
+  const match = text.match(/\b(\d{1,2})[:.](\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i)
+    || text.match(/\b(\d{1,2})()()\s*(am|pm|a\.m\.|p\.m\.)/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  const second = match[3] ? parseInt(match[3]) : 0;
+  const meridiem = match[4] ? match[4].toLowerCase().replace(/\./g, '') : null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'pm' && hour !== 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+
+  return { hour, minute, second, rest: text.replace(match[0], ' ') };
+}
+
+/**
+ * Pull a zone (IST / GMT / UTC / +05:30) out of a string
+ * @param {string} text
+ * @returns {{offset: number, rest: string}|null}
+ */
+function extractZone(text) {
+  const named = text.match(/\b(IST|GMT|UTC)\b(?!\s*[+-]\d)/i);
+  if (named) {
+    return { offset: ZONE_OFFSETS[named[1].toLowerCase()], rest: text.replace(named[0], ' ') };
+  }
+
+  const numeric = text.match(/(?:^|\s)(?:GMT|UTC)?\s*([+-])(\d{2}):?(\d{2})\s*$/i);
+  if (numeric) {
+    const minutes = parseInt(numeric[2]) * 60 + parseInt(numeric[3]);
+    return { offset: numeric[1] === '-' ? -minutes : minutes, rest: text.replace(numeric[0], ' ') };
+  }
+
+  return null;
+}
+
+/**
+ * Pull a calendar date out of a string (month-name forms, ISO, Indian day-first numeric)
+ * @param {string} text
+ * @returns {{year: number, month: number, day: number, rest: string}|null}
+ */
+function extractDate(text) {
+  const found = (match, year, month, day) => ({ year, month, day, rest: text.replace(match[0], ' ') });
+
+  let match = text.match(/\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i);
+  if (match && monthIndex(match[1]) !== undefined) {
+    return found(match, parseInt(match[3]), monthIndex(match[1]), parseInt(match[2]));
+  }
+
+  match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4})\b/i);
+  if (match && monthIndex(match[2]) !== undefined) {
+    return found(match, parseInt(match[3]), monthIndex(match[2]), parseInt(match[1]));
+  }
+
+  match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) {
+    return found(match, parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  }
+
+  // Numeric dates from Indian sources are day-first (19/01/2026, 19-01-2026, 19.01.2026)
+  match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+  if (match) {
+    return found(match, parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  }
+
+  return null;
+}
+
 /**
- * Best-effort parse of Moneycontrol date strings into JS Date
- * Falls back to current date if parsing fails.
- * @param {string} dateString
- * @returns {Date}
+ * Parse relative datelines: "2 hours ago", "an hour ago", "just now", "yesterday 10:30 AM"
+ * @param {string} text - Lower-cased text
+ * @param {Date} now - Reference time
+ * @returns {Date|null}
  */
-export function parseMoneycontrolDate(dateString) {
-  if (!dateString) return new Date();
+function parseRelative(text, now) {
+  if (/\b(just now|moments? ago)\b/.test(text)) return new Date(now.getTime());
+
+  const ago = text.match(/\b(\d+|an?|one)\s*(sec|second|min|minute|mins|hr|hrs|hour|day|week|month|year)s?\b\.?\s+ago\b/);
+  if (ago) {
+    const amount = /^\d+$/.test(ago[1]) ? parseInt(ago[1]) : 1;
+    let unit = ago[2];
+    if (unit.startsWith('sec')) unit = 'sec';
+    else if (unit.startsWith('min')) unit = 'min';
+    else if (unit.startsWith('h')) unit = 'hour';
+    return new Date(now.getTime() - amount * RELATIVE_UNITS_MS[unit]);
+  }
+
+  const dayWord = text.match(/\b(today|yesterday)\b/);
+  if (dayWord) {
+    const zone = extractZone(text);
+    const offset = zone ? zone.offset : DEFAULT_OFFSET_MINUTES;
+    const base = new Date(now.getTime() - (dayWord[1] === 'yesterday' ? RELATIVE_UNITS_MS.day : 0));
+    const { year, month, day } = calendarDateIn(base, offset);
+    const time = extractTime(text) || { hour: 0, minute: 0, second: 0 };
+    return fromParts(year, month, day, time.hour, time.minute, time.second, offset);
+  }
+
+  return null;
+}
+
+/**
+ * Parse one date string from a news source into a UTC Date.
+ *
+ * Handles ISO 8601 / RFC 2822 (with or without zone), "January 19, 2026 10:30 AM IST",
+ * "Jan 19, 2026 / 10:30 AM", "19 Jan 2026, 10:30", day-first numeric dates, and relative
+ * forms ("2 hours ago", "yesterday"). Strings without a zone are read as IST.
+ *
+ * @param {string} dateString - Date text (labels such as "Updated:" are ignored)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for relative dates (default: current time)
+ * @returns {Date|null} Parsed instant, or null when the string is not a recognisable date
+ */
+export function parseArticleDate(dateString, options = {}) {
+  if (!dateString || typeof dateString !== 'string') return null;
+  const now = options.now || new Date();
+
+  const text = dateString.replace(LABEL_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  // ISO 8601 with an explicit zone is unambiguous
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  const relative = parseRelative(text.toLowerCase(), now);
+  if (relative) return relative;
+
+  // Drop separators and weekday names before picking the parts apart
+  let rest = text
+    .replace(/T(?=\d{2}:\d{2})/, ' ')
+    .replace(/[|]|\s\/\s|\bat\b/gi, ' ')
+    .replace(/\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(day|nesday|sday|urday)?\b,?/gi, ' ');
+
+  const zone = extractZone(rest);
+  if (zone) rest = zone.rest;
+
+  const date = extractDate(rest);
+  if (!date) return null;
+
+  const time = extractTime(date.rest);
+
+  return fromParts(
+    date.year,
+    date.month,
+    date.day,
+    time ? time.hour : 0,
+    time ? time.minute : 0,
+    time ? time.second : 0,
+    zone ? zone.offset : DEFAULT_OFFSET_MINUTES
+  );
+}
+
+/**
+ * Parse a dateline that may carry both a published and an updated timestamp,
+ * e.g. "Published: Jan 18, 2026 09:00 AM | Updated: Jan 19, 2026 / 10:30 AM IST".
+ * Unlabelled text counts as the published time.
+ *
+ * @param {string} text - Dateline text
+ * @param {Object} [options] - { now } for relative dates
+ * @returns {{ published_at: Date|null, updated_at: Date|null }}
+ */
+export function parseArticleDates(text, options = {}) {
+  const result = { published_at: null, updated_at: null };
+  if (!text || typeof text !== 'string') return result;
+
+  const segments = [];
+  let lastIndex = 0;
+  let lastLabel = null;
 
-  // They often use formats like "January 19, 2026 10:30 AM IST" or similar.
-  const parsed = new Date(dateString);
-  if (!isNaN(parsed.getTime())) {
-    return parsed;
+  for (const match of text.matchAll(LABEL_PATTERN)) {
+    segments.push({ label: lastLabel, text: text.slice(lastIndex, match.index) });
+    lastLabel = match[1].toLowerCase();
+    lastIndex = match.index + match[0].length;
   }
+  segments.push({ label: lastLabel, text: text.slice(lastIndex) });
 
-  // Fallback: strip extra labels like "Updated:" / "Published:"
-  const cleaned = dateString
-    .replace(/(Updated|Published)\s*:?/i, '')
-    .replace(/\s+IST/i, '')
-    .trim();
+  for (const segment of segments) {
+    const parsed = parseArticleDate(segment.text, options);
+    if (!parsed) continue;
 
-  const parsedCleaned = new Date(cleaned);
-  if (!isNaN(parsedCleaned.getTime())) {
-    return parsedCleaned;
+    const isUpdate = segment.label && /updated|modified/.test(segment.label);
+    if (isUpdate) {
+      if (!result.updated_at) result.updated_at = parsed;
+    } else if (!result.published_at) {
+      result.published_at = parsed;
+    }
   }
 
-  return new Date();
+  return result;
 }
@@ -0,0 +1,27 @@
+/**
+ * Format an article's linked official documents for inclusion in an LLM prompt.
+ * Each page is tagged so the model can cite "<url> (page N)".
+ * @param {Array<Object>} documents - Linked documents ({ url, title, pages: [{ page, text }] })
+ * @param {number} maxCharsPerDocument - Text budget per document
+ * @returns {string} Prompt section, or "None" when there are no usable documents
+ */
+export function formatDocumentsForPrompt(documents = [], maxCharsPerDocument = 2000) {
+  const usable = (documents || []).filter(doc => !doc.fetch_error && Array.isArray(doc.pages) && doc.pages.length > 0);
+  if (usable.length === 0) return 'None';
+
+  return usable.map((doc, index) => {
+    const isPdf = doc.content_type === 'application/pdf';
+    let remaining = maxCharsPerDocument;
+    const pages = [];
+
+    for (const { page, text } of doc.pages) {
+      if (remaining <= 0) break;
+      if (!text) continue;
+      const excerpt = text.length > remaining ? `${text.substring(0, remaining)}...` : text;
+      remaining -= excerpt.length;
+      pages.push(isPdf ? `[Page ${page}]\n${excerpt}` : excerpt);
+    }
+
+    return `[Document ${index + 1}] ${doc.title || 'Untitled'}\nSource: ${doc.url}${isPdf ? ' (PDF)' : ''}\n${pages.join('\n')}`;
+  }).join('\n\n');
+}
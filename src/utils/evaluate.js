@@ -0,0 +1,97 @@
+import { parseEvaluationOptions, startEvaluation, compareEvaluationRuns } from '../services/evaluation.js';
+import { getEvaluationRunById } from '../models/evaluationRun.js';
+
+/**
+ * Evaluate the classifier against a labeled set from the command line.
+ *
+ *   npm run evaluate                                        # human-reviewed posts
+ *   npm run evaluate -- --file data/labeled.jsonl --model llama3.1 --name "llama3.1 baseline"
+ *   npm run evaluate -- --source pib --limit 50 --compare 3  # compare the new run against run 3
+ *   npm run evaluate -- --examples 0                         # zero-shot, no retrieved examples
+ *   npm run evaluate -- --prompt-version v3                  # a stored prompt version (see /api/prompts)
+ *   npm run evaluate -- --compare 3,5                        # compare two stored runs
+ *
+ * JSONL lines: { "id": "...", "title": "...", "content": "...", "url": "...", "is_interesting": true, "content_pillar": "SCHEMES" }
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    args[arg.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function printComparison(comparison) {
+  const { base, candidate, metrics } = comparison;
+  const describe = run => `run ${run.id} (${run.model}, prompt ${run.prompt_version}, ${run.few_shot_examples ?? 0} example(s))`;
+  console.log(`\n📐 ${describe(base)} vs ${describe(candidate)}`);
+  if (!comparison.same_dataset) {
+    console.log(`   ⚠️ Different datasets: ${base.dataset} vs ${candidate.dataset}`);
+  }
+  console.table(Object.fromEntries(
+    Object.entries(metrics).map(([name, { base: a, candidate: b, delta }]) => [
+      name,
+      { base: formatValue(a), candidate: formatValue(b), delta: delta === null ? '-' : (delta >= 0 ? '+' : '') + formatValue(delta) }
+    ])
+  ));
+  console.log(`   ${comparison.changed_items.length} item(s) changed verdict or pillar`);
+  for (const item of comparison.changed_items) {
+    console.log(`   - ${item.key}: expected ${item.expected}, ${item.base.predicted} → ${item.candidate.predicted} (${item.title?.substring(0, 60)})`);
+  }
+}
+
+async function loadRun(id) {
+  const run = await getEvaluationRunById(parseInt(id));
+  if (!run) throw new Error(`Evaluation run ${id} does not exist`);
+  return run;
+}
+
+async function runEvaluateCommand() {
+  const args = parseArgs(process.argv.slice(2));
+  const compareIds = args.compare ? args.compare.split(',').map(id => id.trim()).filter(Boolean) : [];
+
+  // Two stored runs: compare only
+  if (compareIds.length === 2) {
+    const [base, candidate] = await Promise.all(compareIds.map(loadRun));
+    printComparison(compareEvaluationRuns(base, candidate));
+    return;
+  }
+
+  const options = parseEvaluationOptions({
+    dataset: args.file ? 'file' : args.dataset,
+    file: args.file,
+    source: args.source,
+    limit: args.limit !== undefined ? parseInt(args.limit) : undefined,
+    model: args.model,
+    prompt_version: args['prompt-version'],
+    examples: args.examples !== undefined ? parseInt(args.examples) : undefined,
+    name: args.name,
+    delay_ms: args['delay-ms'] !== undefined ? parseInt(args['delay-ms']) : undefined
+  });
+
+  // Rejects with the error when the run fails
+  const { done } = await startEvaluation(options);
+  const finished = await done;
+
+  const { confusion, ...metrics } = finished.metrics;
+  console.log('📊 Metrics:', metrics);
+  console.log('   Confusion (interesting = positive):', confusion);
+
+  if (compareIds.length === 1) {
+    printComparison(compareEvaluationRuns(await loadRun(compareIds[0]), finished));
+  }
+}
+
+runEvaluateCommand()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,227 @@
+/**
+ * Schema for the structured Q&A explainer the transform task returns (see
+ * EXPLAINER_FORMAT in utils/contentToQAPrompt.js). The model output is
+ * validated against it before anything is stored; see
+ * services/contentTransformer.js for the repair loop that runs when validation
+ * fails. The structure is stored in posts.content_qa_json and rendered to
+ * markdown for posts.content_qa.
+ */
+
+// Errors listed in one repair prompt; the rest are usually the same mistake repeated
+const MAX_ERRORS = 10;
+
+/**
+ * Non-empty trimmed string, or null
+ * @param {*} value
+ * @returns {string|null}
+ */
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Table cell as a string (models often write numbers as numbers)
+ * @param {*} value
+ * @returns {string|null} null when the cell is not a string, number or null
+ */
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Validate one table
+ * @param {*} table
+ * @param {string} path - e.g. 'sections[0].items[1].tables[0]'
+ * @param {Array<string>} errors - Collects problems
+ * @returns {{caption: string|null, columns: Array<string>, rows: Array<Array<string>>}|null}
+ */
+function validateTable(table, path, errors) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    errors.push(`"${path}" must be an object with "columns" and "rows"`);
+    return null;
+  }
+
+  const columns = Array.isArray(table.columns) ? table.columns.map(cell) : null;
+  if (!columns || columns.length === 0 || columns.some(column => !column)) {
+    errors.push(`"${path}.columns" must be a non-empty array of column names`);
+    return null;
+  }
+
+  if (!Array.isArray(table.rows) || table.rows.length === 0) {
+    errors.push(`"${path}.rows" must be a non-empty array of rows`);
+    return null;
+  }
+  const rows = [];
+  table.rows.forEach((row, index) => {
+    const cells = Array.isArray(row) ? row.map(cell) : null;
+    if (!cells || cells.some(value => value === null)) {
+      errors.push(`"${path}.rows[${index}]" must be an array of strings`);
+    } else if (cells.length !== columns.length) {
+      errors.push(`"${path}.rows[${index}]" has ${cells.length} cells but the table has ${columns.length} columns`);
+    } else {
+      rows.push(cells);
+    }
+  });
+
+  return { caption: text(table.caption), columns, rows };
+}
+
+/**
+ * Validate one source link; a bare URL string is accepted
+ * @param {*} source
+ * @param {string} path
+ * @param {Array<string>} errors
+ * @returns {{url: string, page: number|null}|null}
+ */
+function validateSource(source, path, errors) {
+  const { url, page: rawPage = null } = typeof source === 'string' ? { url: source } : (source || {});
+  if (!text(url) || !/^https?:\/\//i.test(url.trim())) {
+    errors.push(`"${path}.url" must be an http(s) URL`);
+    return null;
+  }
+  // "3" is as good as 3
+  const page = typeof rawPage === 'string' && /^\d+$/.test(rawPage.trim()) ? parseInt(rawPage) : rawPage;
+  if (page !== null && (!Number.isInteger(page) || page < 1)) {
+    errors.push(`"${path}.page" must be a page number or null`);
+    return null;
+  }
+  return { url: url.trim(), page };
+}
+
+/**
+ * Validate a parsed explainer response
+ * @param {*} raw - Parsed JSON from the model
+ * @returns {{ value: {summary: string|null, sections: Array<{title: string, items: Array<{question: string, answer: string, tables: Array<Object>, sources: Array<{url: string, page: number|null}>}>}>}|null, errors: Array<string> }}
+ *   value is null when errors is non-empty; strings are trimmed and missing tables/sources are empty arrays
+ */
+export function validateExplainer(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['response must be a JSON object'] };
+  }
+
+  if (raw.summary !== undefined && raw.summary !== null && typeof raw.summary !== 'string') {
+    errors.push('"summary" must be a string or null');
+  }
+
+  const sections = [];
+  if (!Array.isArray(raw.sections) || raw.sections.length === 0) {
+    errors.push('"sections" must be a non-empty array');
+  } else {
+    raw.sections.forEach((section, sectionIndex) => {
+      const path = `sections[${sectionIndex}]`;
+      if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        errors.push(`"${path}" must be an object with "title" and "items"`);
+        return;
+      }
+      const title = text(section.title);
+      if (!title) errors.push(`"${path}.title" must be a non-empty string`);
+      if (!Array.isArray(section.items) || section.items.length === 0) {
+        errors.push(`"${path}.items" must be a non-empty array of questions and answers`);
+        return;
+      }
+
+      const items = [];
+      section.items.forEach((item, itemIndex) => {
+        const itemPath = `${path}.items[${itemIndex}]`;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          errors.push(`"${itemPath}" must be an object with "question" and "answer"`);
+          return;
+        }
+        const question = text(item.question);
+        const answer = text(item.answer);
+        if (!question) errors.push(`"${itemPath}.question" must be a non-empty string`);
+        if (!answer) errors.push(`"${itemPath}.answer" must be a non-empty string`);
+
+        const tables = [];
+        if (item.tables !== undefined && item.tables !== null && !Array.isArray(item.tables)) {
+          errors.push(`"${itemPath}.tables" must be an array (empty if none)`);
+        } else {
+          (item.tables || []).forEach((table, index) => {
+            const value = validateTable(table, `${itemPath}.tables[${index}]`, errors);
+            if (value) tables.push(value);
+          });
+        }
+
+        const sources = [];
+        if (item.sources !== undefined && item.sources !== null && !Array.isArray(item.sources)) {
+          errors.push(`"${itemPath}.sources" must be an array (empty if none)`);
+        } else {
+          (item.sources || []).forEach((source, index) => {
+            const value = validateSource(source, `${itemPath}.sources[${index}]`, errors);
+            if (value && !sources.some(other => other.url === value.url && other.page === value.page)) {
+              sources.push(value);
+            }
+          });
+        }
+
+        if (question && answer) items.push({ question, answer, tables, sources });
+      });
+
+      if (title) sections.push({ title, items });
+    });
+  }
+
+  if (errors.length > 0) {
+    const listed = errors.slice(0, MAX_ERRORS);
+    if (errors.length > MAX_ERRORS) listed.push(`...and ${errors.length - MAX_ERRORS} more problems`);
+    return { value: null, errors: listed };
+  }
+
+  return {
+    value: {
+      summary: text(raw.summary),
+      sections
+    },
+    errors
+  };
+}
+
+/**
+ * Markdown table cell: one line, pipes escaped
+ * @param {string} value
+ * @returns {string}
+ */
+function markdownCell(value) {
+  return value.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a validated explainer as markdown: sections as "##" headers,
+ * questions as "###" headers, then the answer, its tables and its sources.
+ * This is what posts.content_qa holds.
+ * @param {Object} explainer - Value returned by validateExplainer
+ * @returns {string}
+ */
+export function renderExplainerMarkdown(explainer) {
+  const blocks = [];
+  if (explainer.summary) blocks.push(explainer.summary);
+
+  for (const section of explainer.sections) {
+    blocks.push(`## ${section.title}`);
+
+    for (const item of section.items) {
+      blocks.push(`### ${item.question}`, item.answer);
+
+      for (const table of item.tables) {
+        const lines = [
+          `| ${table.columns.map(markdownCell).join(' | ')} |`,
+          `| ${table.columns.map(() => '---').join(' | ')} |`,
+          ...table.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+        ];
+        if (table.caption) lines.unshift(`**${table.caption}**`, '');
+        blocks.push(lines.join('\n'));
+      }
+
+      if (item.sources.length > 0) {
+        const links = item.sources.map(source => (source.page ? `${source.url} (page ${source.page})` : source.url));
+        blocks.push(`Sources: ${links.join(', ')}`);
+      }
+    }
+  }
+
+  return blocks.join('\n\n');
+}
@@ -0,0 +1,264 @@
+// Hard facts the Q&A explainer must carry over from the article: numbers,
+// money amounts, percentages, dates and named schemes/acts. Extraction is
+// regex-based, so a fact counts as kept only when it appears in the explainer
+// in some recognisable form (₹1.5 lakh and Rs 1,50,000 are the same amount;
+// "three" for 3 is not).
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+const SCALES = {
+  thousand: 1e3, k: 1e3,
+  lakh: 1e5, lakhs: 1e5, lac: 1e5,
+  crore: 1e7, crores: 1e7, cr: 1e7,
+  million: 1e6, mn: 1e6,
+  billion: 1e9, bn: 1e9,
+  trillion: 1e12
+};
+const SCALE_WORD = '(?:thousand|lakhs?|lac|crores?|cr|million|mn|billion|bn|trillion|k)';
+// One scale word or two multiplied together: "6,000 crore", "1.5 lakh crore", "50 thousand crore"
+const SCALE = `(${SCALE_WORD}(?:\\s+${SCALE_WORD})?)`;
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?)';
+const CURRENCY_SYMBOL = '(?:\\bRs\\.?|\\bINR|₹|\\bUS\\$|\\$|\\bUSD)';
+
+const SCHEME_KEYWORDS = 'Yojana|Yojna|Scheme|Abhiyan|Mission|Act|Bill|Programme|Program|Policy|Nidhi|Code|Portal';
+// Words that start a sentence rather than a scheme name ("The Pradhan Mantri ... Yojana")
+const LEADING_WORDS = /^(?:(?:The|A|An|This|That|These|Under|Its|Their|New|Both|Each|Every)\s+)+/;
+
+// Below this, plain numbers are mostly counts that read as words ("two steps") and are not checked
+const MIN_PLAIN_NUMBER = 10;
+
+/**
+ * Parse "1,50,000" / "12.5" to a number
+ * @param {string} text
+ * @returns {number}
+ */
+function parseAmount(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+/**
+ * Absolute value of an amount with optional scale words ("6,000 crore", "1.5 lakh crore")
+ * @param {string} amount
+ * @param {string} [scale]
+ * @returns {number}
+ */
+function scaledValue(amount, scale) {
+  const multiplier = scale
+    ? scale.toLowerCase().split(/\s+/).reduce((product, word) => product * (SCALES[word] || 1), 1)
+    : 1;
+  return Number((parseAmount(amount) * multiplier).toPrecision(12));
+}
+
+/**
+ * Two-digit or four-digit year to four digits ("FY25" -> 2025)
+ * @param {string} year
+ * @returns {number}
+ */
+function fullYear(year) {
+  const value = parseInt(year);
+  return year.length <= 2 ? 2000 + value : value;
+}
+
+/**
+ * Normalise a scheme name for matching: lowercase, no punctuation, single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeName(text) {
+  return text.toLowerCase().replace(/[’']s\b/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Patterns in priority order: a span taken by an earlier pattern is not matched
+ * again (the 2025 in "12 March 2025" is part of the date, not a number)
+ */
+const PATTERNS = [
+  {
+    type: 'date',
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\.?,?\\s+(\\d{4})\\b`, 'g'),
+    fact: m => ({ year: parseInt(m[3]), month: MONTHS[m[2].toLowerCase()], day: parseInt(m[1]) })
+  },
+  {
+    type: 'date',
+    regex: new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'g'),
+    fact: m => ({ year: parseInt(m[3]), month: MONTHS[m[1].toLowerCase()], day: parseInt(m[2]) })
+  },
+  {
+    type: 'date',
+    regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    fact: m => ({ year: parseInt(m[1]), month: parseInt(m[2]), day: parseInt(m[3]) })
+  },
+  {
+    // Indian order: DD/MM/YYYY
+    type: 'date',
+    regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g,
+    fact: m => ({ year: parseInt(m[3]), month: parseInt(m[2]), day: parseInt(m[1]) })
+  },
+  {
+    type: 'date',
+    regex: new RegExp(`\\b${MONTH}\\.?,?\\s+(\\d{4})\\b`, 'g'),
+    fact: m => ({ year: parseInt(m[2]), month: MONTHS[m[1].toLowerCase()] })
+  },
+  {
+    type: 'date',
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\b`, 'g'),
+    fact: m => ({ month: MONTHS[m[2].toLowerCase()], day: parseInt(m[1]) })
+  },
+  {
+    // Financial years: FY25, FY 2024-25, 2024-25, 2024-2025 (keyed by the year they end in)
+    type: 'date',
+    regex: /\b(?:FY\s?'?(\d{2}|\d{4})(?:\s?[-–]\s?(\d{2}|\d{4}))?|(\d{4})\s?[-–]\s?(\d{2}|\d{4}))\b/g,
+    fact: m => ({ fiscal_year: fullYear(m[2] || m[1] || m[4] || m[3]) })
+  },
+  {
+    type: 'currency',
+    regex: new RegExp(`${CURRENCY_SYMBOL}\\s?${AMOUNT}(?:\\s?${SCALE}\\b)?`, 'gi'),
+    fact: m => ({ value: scaledValue(m[1], m[2]) })
+  },
+  {
+    type: 'currency',
+    regex: new RegExp(`\\b${AMOUNT}\\s?${SCALE}?\\s+(?:rupees|dollars)\\b`, 'gi'),
+    fact: m => ({ value: scaledValue(m[1], m[2]) })
+  },
+  {
+    type: 'percentage',
+    regex: /\b(\d+(?:\.\d+)?)\s?(?:%|per\s?cent\b|percent\b)/gi,
+    fact: m => ({ value: parseFloat(m[1]) })
+  },
+  {
+    // Counts with a scale word ("10 lakh farmers") compare by their full value
+    type: 'number',
+    regex: new RegExp(`\\b${AMOUNT}\\s?${SCALE}\\b`, 'gi'),
+    fact: m => ({ value: scaledValue(m[1], m[2]) })
+  },
+  {
+    type: 'number',
+    regex: /\b\d[\d,]*(?:\.\d+)?\b/g,
+    fact: m => {
+      const value = parseAmount(m[0]);
+      return value >= MIN_PLAIN_NUMBER || m[0].includes('.') ? { value } : null;
+    }
+  },
+  {
+    type: 'scheme',
+    regex: new RegExp(`\\b[A-Z][\\w’'-]*(?:\\s+(?:(?:of|for|and|the|ka|ki|ke|se)\\s+)?[A-Z][\\w’'-]*)*\\s+(?:${SCHEME_KEYWORDS})\\b`, 'g'),
+    fact: m => {
+      const name = m[0].replace(LEADING_WORDS, '');
+      return name.includes(' ') ? { text: name, name: normalizeName(name) } : null;
+    }
+  },
+  {
+    // Hyphenated scheme acronyms: PM-KISAN, PMAY-G
+    type: 'scheme',
+    regex: /\b[A-Z]{2,}(?:-[A-Z][A-Za-z0-9]*)+\b/g,
+    fact: m => ({ name: normalizeName(m[0]) })
+  }
+];
+
+/**
+ * Key identifying a fact, for de-duplication
+ * @param {Object} fact
+ * @returns {string}
+ */
+function factKey(fact) {
+  switch (fact.type) {
+    case 'date':
+      return `date:${fact.fiscal_year ? `fy${fact.fiscal_year}` : `${fact.year ?? ''}-${fact.month ?? ''}-${fact.day ?? ''}`}`;
+    case 'scheme':
+      return `scheme:${fact.name}`;
+    default:
+      return `${fact.type}:${fact.value}`;
+  }
+}
+
+/**
+ * Extract the hard facts from a text
+ * @param {string} text - Article or explainer text (markdown / plain text)
+ * @returns {Array<{type: string, text: string, value?: number, year?: number, month?: number, day?: number, fiscal_year?: number, name?: string}>}
+ *   Unique facts in order of appearance; type is 'date', 'currency', 'percentage', 'number' or 'scheme'
+ */
+export function extractFacts(text) {
+  // Links are cited as-is and would only add noise (ids and dates inside URLs)
+  const clean = (text || '').replace(/https?:\/\/\S+/g, ' ');
+  const taken = [];
+  const found = [];
+
+  for (const pattern of PATTERNS) {
+    for (const match of clean.matchAll(pattern.regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.some(span => start < span.end && end > span.start)) continue;
+
+      const fields = pattern.fact(match);
+      if (!fields) continue;
+      taken.push({ start, end });
+      found.push({ start, fact: { type: pattern.type, text: match[0].trim(), ...fields } });
+    }
+  }
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(({ fact }) => fact)
+    .filter(fact => {
+      const key = factKey(fact);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Whether a source fact is present among the explainer's facts
+ * @param {Object} fact - Fact from the source
+ * @param {Array<Object>} candidates - Facts extracted from the explainer
+ * @param {string} normalizedText - Explainer text normalised with normalizeName
+ * @returns {boolean}
+ */
+function isCovered(fact, candidates, normalizedText) {
+  switch (fact.type) {
+    case 'scheme':
+      return ` ${normalizedText} `.includes(` ${fact.name} `);
+    case 'date':
+      return candidates.some(other => other.type === 'date'
+        && (fact.fiscal_year
+          ? other.fiscal_year === fact.fiscal_year
+          // Every part the source gives must match; the explainer may be more specific
+          : ['year', 'month', 'day'].every(part => fact[part] === undefined || other[part] === fact[part])));
+    case 'percentage':
+      return candidates.some(other => other.type === 'percentage' && other.value === fact.value);
+    default:
+      // Amounts and counts: the same value in any form (with or without the currency symbol)
+      return candidates.some(other => ['currency', 'number'].includes(other.type) && other.value === fact.value)
+        || (fact.type === 'number' && candidates.some(other => other.type === 'date'
+          && [other.year, other.fiscal_year].includes(fact.value)));
+  }
+}
+
+/**
+ * Check which facts of the source text made it into the generated explainer
+ * @param {string} source - Article text the explainer was written from
+ * @param {string} explainer - Generated Q&A explainer
+ * @returns {{coverage: number|null, fact_count: number, missing: Array<{type: string, text: string}>}}
+ *   coverage is the share of source facts found in the explainer (null when the source has none)
+ */
+export function checkFactCoverage(source, explainer) {
+  const facts = extractFacts(source);
+  const candidates = extractFacts(explainer);
+  const normalizedText = normalizeName(explainer || '');
+
+  const missing = facts
+    .filter(fact => !isCovered(fact, candidates, normalizedText))
+    .map(fact => ({ type: fact.type, text: fact.text }));
+
+  return {
+    coverage: facts.length > 0 ? Number(((facts.length - missing.length) / facts.length).toFixed(3)) : null,
+    fact_count: facts.length,
+    missing
+  };
+}
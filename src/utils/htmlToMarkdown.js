@@ -0,0 +1,228 @@
+import * as cheerio from 'cheerio';
+
+// Elements that never carry article text
+const STRIP_TAGS = 'script, style, noscript, iframe, form, button, svg, canvas, video, audio, object, embed, template, ins';
+
+// Class/id tokens marking ads, promos and "also read" / related blocks
+// (suffixes may be hyphenated: related-stories, also-read-box, social-share)
+const JUNK_TOKEN = /^(ad|ads|adv|advert[\w-]*|advertisement|adsbox|ad[-_][\w-]+|[\w-]+[-_]ads?|div[-_]gpt[-_]ad[\w-]*|gpt[\w-]*|dfp[\w-]*|taboola[\w-]*|outbrain[\w-]*|sponsor[\w-]*|promo[\w-]*|also[-_]?read[\w-]*|read[-_]?more[\w-]*|related[\w-]*|recommended[\w-]*|social[\w-]*|share[\w-]*|newsletter[\w-]*|subscribe[\w-]*)$/i;
+
+// Paragraphs that are just cross-links to other stories
+const JUNK_TEXT = /^(also read|read also|read more|also see|also watch|click here to|download the .* app|subscribe to)\b/i;
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'figure', 'figcaption',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'blockquote', 'pre', 'hr', 'dl', 'dt', 'dd'
+]);
+
+/**
+ * Whether an element is an ad / promo / related-stories block
+ * @param {Object} elem - cheerio (domhandler) element
+ * @returns {boolean}
+ */
+function isJunkElement(elem) {
+  const tokens = [
+    ...((elem.attribs && elem.attribs.class) || '').split(/\s+/),
+    (elem.attribs && elem.attribs.id) || ''
+  ].filter(Boolean);
+  return tokens.some(token => JUNK_TOKEN.test(token));
+}
+
+/**
+ * Resolve a link against the page URL; null for anchors, javascript: and mailto:
+ * @param {string} href
+ * @param {string|null} baseUrl
+ * @returns {string|null}
+ */
+function resolveHref(href, baseUrl) {
+  if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return null;
+  try {
+    const url = new URL(href, baseUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collapse runs of whitespace the way a browser renders inline text
+ * @param {string} text
+ * @returns {string}
+ */
+function collapse(text) {
+  return text.replace(/[ \t\r\n ]+/g, ' ');
+}
+
+/**
+ * Convert article HTML into clean Markdown, keeping headings, paragraphs,
+ * lists, tables, block quotes and hyperlinks, and dropping scripts, ads and
+ * "also read" / related-story blocks.
+ *
+ * @param {string} html - HTML of the article container (or a whole page)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Page URL, used to make links absolute
+ * @param {string} [options.selector] - Only convert the first element matching this selector
+ * @returns {{ markdown: string, links: Array<{ text: string, url: string }> }}
+ *   links: every distinct http(s) hyperlink in the converted content
+ */
+export function htmlToMarkdown(html, options = {}) {
+  const { baseUrl = null, selector = null } = options;
+  const $ = cheerio.load(html);
+
+  const root = selector ? $(selector).first() : $('body');
+  if (root.length === 0) {
+    return { markdown: '', links: [] };
+  }
+
+  root.find(STRIP_TAGS).remove();
+  root.find('*').filter((i, elem) => isJunkElement(elem)).remove();
+  root.find('p, li, h3, h4, h5, h6, div, span, strong')
+    .filter((i, elem) => {
+      const text = $(elem).text().trim();
+      return text.length < 300 && JUNK_TEXT.test(text) && $(elem).find('p, div, table, ul, ol').length === 0;
+    })
+    .remove();
+
+  const links = new Map();
+
+  /**
+   * Render one inline node (text, link, emphasis)
+   */
+  function inlineNode(child) {
+    if (child.type === 'text') return collapse(child.data);
+    if (child.type !== 'tag') return '';
+
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'br') return '\n';
+    if (tag === 'img') return '';
+
+    const text = inline(child);
+    if (!text.trim()) return text;
+
+    if (tag === 'a') {
+      const url = resolveHref($(child).attr('href'), baseUrl);
+      if (!url) return text;
+      const label = text.trim();
+      if (!links.has(url)) links.set(url, { text: label, url });
+      return `[${label}](${url})`;
+    }
+    if (tag === 'strong' || tag === 'b') return `**${text.trim()}**`;
+    if (tag === 'em' || tag === 'i') return `_${text.trim()}_`;
+    if (tag === 'code') return `\`${text.trim()}\``;
+    return text;
+  }
+
+  /**
+   * Render the inline content of a node
+   */
+  function inline(node) {
+    return $(node).contents().toArray().map(inlineNode).join('');
+  }
+
+  function cleanInline(node) {
+    return inline(node).split('\n').map(line => line.trim()).join('\n').trim();
+  }
+
+  function renderList(node, depth) {
+    const ordered = node.tagName.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+    const lines = [];
+    let index = 1;
+
+    $(node).children('li').each((i, li) => {
+      // Nested lists are rendered after the item's own text
+      const nested = $(li).children('ul, ol').toArray();
+      $(nested).remove();
+      const text = blocks(li).join(' ').replace(/\n+/g, ' ').trim();
+      if (text) {
+        lines.push(`${indent}${ordered ? `${index++}.` : '-'} ${text}`);
+      }
+      for (const list of nested) {
+        const rendered = renderList(list, depth + 1);
+        if (rendered) lines.push(rendered);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  function renderTable(node) {
+    const rows = $(node).find('tr').toArray()
+      .map(tr => $(tr).children('th, td').toArray().map(cell => {
+        const span = parseInt($(cell).attr('colspan') || '1');
+        const text = cleanInline(cell).replace(/\n+/g, ' ').replace(/\|/g, '\\|');
+        return Array.from({ length: Math.max(1, span) }, (v, k) => (k === 0 ? text : ''));
+      }).flat())
+      .filter(row => row.some(cell => cell));
+
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const line = row => `| ${pad(row).join(' | ')} |`;
+
+    return [
+      line(rows[0]),
+      `| ${Array(width).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+
+  /**
+   * Render a node's children as a list of Markdown blocks
+   */
+  function blocks(node) {
+    const out = [];
+    let buffer = '';
+
+    const flush = () => {
+      const text = buffer.split('\n').map(line => line.trim()).join('\n').trim();
+      if (text) out.push(text);
+      buffer = '';
+    };
+
+    $(node).contents().each((i, child) => {
+      if (child.type === 'text') {
+        buffer += collapse(child.data);
+        return;
+      }
+      if (child.type !== 'tag') return;
+
+      const tag = child.tagName.toLowerCase();
+      if (!BLOCK_TAGS.has(tag)) {
+        buffer += inlineNode(child);
+        return;
+      }
+
+      flush();
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = cleanInline(child).replace(/\n+/g, ' ').replace(/\*\*/g, '');
+        if (text) out.push(`${'#'.repeat(parseInt(tag[1]))} ${text}`);
+      } else if (tag === 'ul' || tag === 'ol') {
+        const list = renderList(child, 0);
+        if (list) out.push(list);
+      } else if (tag === 'table') {
+        const table = renderTable(child);
+        if (table) out.push(table);
+      } else if (tag === 'blockquote') {
+        const quote = blocks(child).join('\n\n');
+        if (quote) out.push(quote.split('\n').map(line => `> ${line}`).join('\n'));
+      } else if (tag === 'pre') {
+        const code = $(child).text().replace(/\n+$/, '');
+        if (code.trim()) out.push(`\`\`\`\n${code}\n\`\`\``);
+      } else if (tag === 'hr') {
+        out.push('---');
+      } else {
+        out.push(...blocks(child));
+      }
+    });
+
+    flush();
+    return out;
+  }
+
+  const markdown = blocks(root.get(0)).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return { markdown, links: Array.from(links.values()) };
+}
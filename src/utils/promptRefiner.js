@@ -1,3 +1,17 @@
+import { formatDocumentsForPrompt } from './documentPrompt.js';
+import { CONTENT_PILLARS, IMPACT_DIMENSIONS, CREDIBILITY_TIERS } from './classificationSchema.js';
+
+// Article text included in the classification prompt. Longer articles are condensed
+// to fit (see services/longContent.js) before the prompt is formatted.
+export const CLASSIFY_CONTENT_MAX_CHARS = parseInt(process.env.CLASSIFY_CONTENT_MAX_CHARS || '3000');
+
+/**
+ * Version of CLASSIFICATION_PROMPT, the built-in prompt used while no stored
+ * template is active (see services/prompts.js). Recorded with classifications
+ * and evaluation runs; bump it whenever the prompt text changes.
+ */
+export const CLASSIFICATION_PROMPT_VERSION = 'v2';
+
 /**
  * Refined classification prompt for LLM
  * Focuses on binary classification (interesting/not interesting) for public policy content
@@ -28,7 +42,7 @@ An article is INTERESTING if it meets ALL of the following conditions:
    - Access to services
    - Compliance or responsibility
 
-4. **Source Credibility**: The article cites or references:
+4. **Source Credibility**: The article cites or references (any linked official documents are included below the article):
    - Government notifications, gazette releases, ministry websites (highest weight)
    - Reputed national media citing official documents (medium weight)
    - Avoid: Opinion columns, speculation, or unnamed sources (lowest weight)
@@ -49,11 +63,14 @@ An article is NOT INTERESTING if it:
 Respond with ONLY a JSON object in this exact format:
 {
   "is_interesting": true or false,
+  "confidence": A number from 0 to 1: how sure you are of "is_interesting",
   "reasoning": "Brief explanation (1-2 sentences) of why this classification was made",
-  "content_pillar": "The primary pillar this maps to (if interesting), or null",
+  "content_pillars": Every pillar that applies, most relevant first, each written exactly as one of ${CONTENT_PILLARS.map(pillar => `"${pillar}"`).join(', ')} (at least one if interesting, [] if none),
+  "impact_dimensions": The real-world impacts that apply, from ${IMPACT_DIMENSIONS.map(dimension => `"${dimension}"`).join(', ')} ([] if none),
+  "source_credibility": "${CREDIBILITY_TIERS[0]}" (cites government notifications, gazette, ministry sources), "${CREDIBILITY_TIERS[1]}" (reputed media citing official documents) or "${CREDIBILITY_TIERS[2]}" (opinion, speculation, unnamed sources),
   "policy_anchor": "The specific scheme/rule/law/tool mentioned (if applicable), or null"
 }
-
+{examples}
 ## Article to Classify
 
 Title: {title}
@@ -62,16 +79,49 @@ Content: {content}
 
 URL: {url}
 
+Linked official documents (notifications, circulars, gazette releases the article links to):
+
+{documents}
+
 Now classify this article:`;
 
+/**
+ * Format reviewed posts as few-shot examples for the classification prompt
+ * @param {Array<Object>} examples - { id, title, excerpt, is_interesting, content_pillar }
+ * @returns {string} Prompt section, or an empty string when there are no examples
+ */
+export function formatExamplesForPrompt(examples = []) {
+  if (!examples || examples.length === 0) return '';
+
+  const formatted = examples.map((example, index) => {
+    const verdict = {
+      is_interesting: example.is_interesting,
+      content_pillars: example.content_pillar ? [example.content_pillar] : []
+    };
+    return `### Example ${index + 1}\nArticle: ${example.title || 'N/A'}\nExcerpt: ${(example.excerpt || '').replace(/\s+/g, ' ').trim()}\nConfirmed label: ${JSON.stringify(verdict)}`;
+  });
+
+  return `
+## Similar Articles With Confirmed Labels
+
+Editors have reviewed these similar articles. Use their labels as guidance for borderline cases, but judge the article below on its own content.
+
+${formatted.join('\n\n')}
+`;
+}
+
 /**
  * Formats the classification prompt with article data
- * @param {Object} article - Article object with title, content, url
+ * @param {Object} article - Article object with title, content, url and optional linked documents
+ * @param {Array<Object>} [examples] - Few-shot examples (see formatExamplesForPrompt)
+ * @param {string} [template] - Prompt template (default: CLASSIFICATION_PROMPT; see services/prompts.js)
  * @returns {string} Formatted prompt
  */
-export function formatClassificationPrompt(article) {
-  return CLASSIFICATION_PROMPT
+export function formatClassificationPrompt(article, examples = [], template = CLASSIFICATION_PROMPT) {
+  return template
+    .replace('{examples}', () => formatExamplesForPrompt(examples))
     .replace('{title}', article.title || 'N/A')
-    .replace('{content}', (article.content || '').substring(0, 3000)) // Limit content length
-    .replace('{url}', article.url || 'N/A');
+    .replace('{content}', () => (article.content || '').substring(0, CLASSIFY_CONTENT_MAX_CHARS)) // Limit content length
+    .replace('{url}', article.url || 'N/A')
+    .replace('{documents}', () => formatDocumentsForPrompt(article.documents, 1500));
 }
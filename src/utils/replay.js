@@ -0,0 +1,50 @@
+import { scrapeListing, replayArchivedArticles } from '../services/scraper.js';
+import { buildSourceAdapter } from '../services/sources/index.js';
+import { getSources } from '../models/source.js';
+
+/**
+ * Re-run extraction for every source against the raw page archive (no network,
+ * no database writes) and print what the current selectors produce.
+ * Sources and their listings are read from the database. Archived article
+ * pages that are no longer on any listing are re-extracted too.
+ * Useful after fixing selectors or to test the scraper offline.
+ */
+async function runReplay() {
+  console.log('🔁 Replaying scrape from the raw archive...');
+
+  const posts = [];
+  for (const source of await getSources()) {
+    if (source.listings.length === 0) continue;
+    const adapter = buildSourceAdapter(source, source.listings);
+
+    const seen = new Set();
+    for (const listing of source.listings) {
+      const { posts: listed } = await scrapeListing(adapter, listing.url, 0, { replay: true });
+      listed.forEach(post => seen.add(post.source_id));
+      posts.push(...listed);
+    }
+
+    const archived = await replayArchivedArticles(adapter, { exclude: seen });
+    console.log(`📰 ${source.name}: ${seen.size} from listings, ${archived.length} from archived article pages`);
+    posts.push(...archived);
+  }
+
+  let missingBody = 0;
+  let missingAuthor = 0;
+  for (const post of posts) {
+    if (!post.content || post.content === post.title) missingBody++;
+    if (!post.author) missingAuthor++;
+    console.log(
+      `  ${post.source}/${post.source_id} | ${post.content.length} chars | ${post.author || '-'} | ${post.metadata.raw_published_text || '-'}`
+    );
+  }
+
+  console.log(`✅ Re-extracted ${posts.length} articles (${missingBody} without body, ${missingAuthor} without author)`);
+}
+
+runReplay()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Replay failed:', error);
+    process.exit(1);
+  });
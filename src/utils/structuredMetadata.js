@@ -0,0 +1,125 @@
+import * as cheerio from 'cheerio';
+
+const ARTICLE_TYPES = ['NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting', 'WebPage'];
+
+/**
+ * Flatten JSON-LD blocks into a list of nodes (handles arrays and @graph)
+ * @param {*} data - Parsed JSON-LD
+ * @returns {Array<Object>}
+ */
+function flattenJsonLd(data) {
+  if (!data) return [];
+  if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+  if (typeof data !== 'object') return [];
+  if (Array.isArray(data['@graph'])) return [data, ...data['@graph'].flatMap(flattenJsonLd)];
+  return [data];
+}
+
+/**
+ * Whether a JSON-LD node is of one of the given schema.org types
+ * @param {Object} node
+ * @param {Array<string>} types
+ * @returns {boolean}
+ */
+function hasType(node, types) {
+  const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return nodeTypes.some(type => types.includes(type));
+}
+
+/**
+ * Names from a schema.org Person/Organization value (object, array or string)
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function namesOf(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(namesOf);
+  if (typeof value === 'string') return [value.trim()].filter(Boolean);
+  if (typeof value === 'object' && value.name) return namesOf(value.name);
+  return [];
+}
+
+/**
+ * URL from a schema.org ImageObject value (object, array or string)
+ * @param {*} value
+ * @returns {string|null}
+ */
+function imageUrlOf(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return imageUrlOf(value[0]);
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return value.url || value.contentUrl || null;
+  return null;
+}
+
+/**
+ * Split a keywords value (comma-separated string or array) into a clean list
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function keywordsOf(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+/**
+ * Read the first schema.org article node from the page's JSON-LD blocks.
+ * Malformed blocks are skipped.
+ * @param {CheerioStatic} $
+ * @returns {Object|null}
+ */
+function findJsonLdArticle($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    const raw = $(elem).contents().text().trim();
+    if (!raw) return;
+    try {
+      nodes.push(...flattenJsonLd(JSON.parse(raw)));
+    } catch {
+      // Some sites emit invalid JSON-LD (trailing commas, raw newlines); ignore it
+    }
+  });
+
+  for (const type of ARTICLE_TYPES) {
+    const node = nodes.find(n => hasType(n, [type]));
+    if (node) return node;
+  }
+  return null;
+}
+
+/**
+ * Extract structured article metadata from schema.org JSON-LD, falling back to
+ * OpenGraph / article:* / standard meta tags for anything JSON-LD lacks.
+ *
+ * @param {string} html - Article page HTML
+ * @returns {{ headline: string|null, author: string|null, date_published: string|null, date_modified: string|null, keywords: Array<string>, section: string|null, image: string|null, description: string|null }}
+ *   Dates are returned as the raw strings found on the page
+ */
+export function extractStructuredMetadata(html) {
+  const $ = cheerio.load(html);
+  const meta = (key) => $(`meta[property="${key}"], meta[name="${key}"]`).first().attr('content')?.trim() || null;
+  const metaAll = (key) => $(`meta[property="${key}"], meta[name="${key}"]`)
+    .map((i, elem) => $(elem).attr('content')?.trim())
+    .get()
+    .filter(Boolean);
+
+  const ld = findJsonLdArticle($) || {};
+
+  const authors = namesOf(ld.author);
+  const keywords = keywordsOf(ld.keywords);
+  const ogTags = metaAll('article:tag');
+  const metaKeywords = keywordsOf(meta('news_keywords') || meta('keywords'));
+  const section = Array.isArray(ld.articleSection) ? ld.articleSection[0] : ld.articleSection;
+
+  return {
+    headline: ld.headline || meta('og:title') || null,
+    author: authors.length > 0 ? authors.join(', ') : (meta('article:author') || meta('author')),
+    date_published: ld.datePublished || meta('article:published_time') || null,
+    date_modified: ld.dateModified || meta('article:modified_time') || meta('og:updated_time') || null,
+    keywords: Array.from(new Set(keywords.length > 0 ? keywords : [...ogTags, ...metaKeywords])),
+    section: section || meta('article:section') || null,
+    image: imageUrlOf(ld.image) || meta('og:image') || null,
+    description: ld.description || meta('og:description') || meta('description') || null
+  };
+}
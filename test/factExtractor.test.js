@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFacts, checkFactCoverage } from '../src/utils/factExtractor.js';
+
+test('multiplies compound scale words', () => {
+  const facts = extractFacts('The outlay is ₹1.5 lakh crore, up from Rs 50 thousand crore.');
+
+  assert.deepEqual(
+    facts.map(({ type, text, value }) => ({ type, text, value })),
+    [
+      { type: 'currency', text: '₹1.5 lakh crore', value: 1.5e12 },
+      { type: 'currency', text: 'Rs 50 thousand crore', value: 5e11 }
+    ]
+  );
+});
+
+test('keeps a single scale word when the next word is not one', () => {
+  const [fact] = extractFacts('About 10 lakh craftsmen will benefit.');
+
+  assert.equal(fact.text, '10 lakh');
+  assert.equal(fact.value, 1e6);
+});
+
+test('reads Indian digit grouping', () => {
+  const [fact] = extractFacts('Each family gets Rs 1,50,000 a year.');
+
+  assert.equal(fact.type, 'currency');
+  assert.equal(fact.value, 150000);
+});
+
+test('matches amounts written with and without scale words', () => {
+  const check = checkFactCoverage(
+    'The scheme has ₹1.5 lakh crore and covers 1,20,000 villages. Each farmer gets ₹6,000.',
+    'It has Rs 1,50,000 crore, reaches 1.2 lakh villages and pays Rs 6000 per farmer.'
+  );
+
+  assert.deepEqual(check, { coverage: 1, fact_count: 3, missing: [] });
+});
+
+test('matches percentages written as per cent', () => {
+  const check = checkFactCoverage('Inflation eased to 4.5 per cent.', 'Inflation is now 4.5%.');
+
+  assert.equal(check.coverage, 1);
+});
+
+test('matches dates and financial years in any common form', () => {
+  const check = checkFactCoverage(
+    'Applications close on 12 March 2025 for FY 2024-25.',
+    'Apply by March 12, 2025 (2025-03-12) for FY25.'
+  );
+
+  assert.equal(check.coverage, 1);
+});
+
+test('reports the facts an explainer leaves out', () => {
+  const check = checkFactCoverage(
+    'The PM-KISAN scheme pays ₹6,000 a year to 9.8 crore farmers.',
+    'The PM-KISAN scheme pays ₹6,000 a year.'
+  );
+
+  assert.equal(check.fact_count, 3);
+  assert.equal(check.coverage, 0.667);
+  assert.deepEqual(check.missing, [{ type: 'number', text: '9.8 crore' }]);
+});
+
+test('has no coverage for a text without facts', () => {
+  assert.deepEqual(checkFactCoverage('Nothing to count here.', 'Nothing.'), { coverage: null, fact_count: 0, missing: [] });
+});
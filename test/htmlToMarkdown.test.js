@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/utils/htmlToMarkdown.js';
+
+test('drops related / also-read / social blocks with hyphenated class names', () => {
+  const html = `
+    <article>
+      <p>The scheme pays Rs 6,000 a year.</p>
+      <div class="related-stories"><a href="/a">Another story</a></div>
+      <div class="also-read-box"><p>Also worth reading</p></div>
+      <ul class="social-share"><li>Share on X</li></ul>
+      <div id="taboola-below-article">Sponsored links</div>
+      <div class="promo-banner">Subscribe now</div>
+      <p>Farmers apply online.</p>
+    </article>`;
+
+  const { markdown, links } = htmlToMarkdown(html, { baseUrl: 'https://example.com/news/1' });
+
+  assert.equal(markdown, 'The scheme pays Rs 6,000 a year.\n\nFarmers apply online.');
+  assert.deepEqual(links, []);
+});
+
+test('keeps content whose class only contains a junk word', () => {
+  const { markdown } = htmlToMarkdown('<div class="article-body"><p>Shareholders approved the plan.</p></div>');
+
+  assert.equal(markdown, 'Shareholders approved the plan.');
+});